@@ -1,12 +1,21 @@
 "use client";
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { toast } from "sonner";
 
 import CaptionEditor from "../components/CaptionEditor";
 import CaptionList from "../components/CaptionList";
 import VideoUrlInput from "../components/VideoUrlInput";
+import RelinkVideoPrompt from "../components/RelinkVideoPrompt";
+import ProjectLibrary from "../components/ProjectLibrary";
+import SyncPanel from "../components/SyncPanel";
+import QcPanel from "../components/QcPanel";
+import TranscriptImport from "../components/TranscriptImport";
+import WhisperImport from "../components/WhisperImport";
+import SpottingPanel from "../components/SpottingPanel";
+import TrackManager from "../components/TrackManager";
+import TranslationEditor from "../components/TranslationEditor";
 import { Button } from "../components/ui/button";
 import { Card } from "../components/ui/card";
 import {
@@ -15,85 +24,648 @@ import {
   TabsList,
   TabsTrigger,
 } from "../components/ui/tabs";
-import { Download, Upload, Play, Pause, RotateCcw } from "lucide-react";
-import { formatTime, parseTime, validateTimestamp } from "../utils/timeUtils";
+import {
+  Download,
+  Upload,
+  Play,
+  Pause,
+  RotateCcw,
+  FolderOpen,
+  FileText,
+  Crosshair,
+  Languages,
+  Mic,
+} from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import {
+  DEFAULT_TIME_SETTINGS,
+  formatTimestamp,
+  parseTime,
+  snapTimestamp,
+  stepFrames,
+  validateTimestamp,
+} from "../utils/timeUtils";
+import {
+  getAdjacentCaption,
+  getCursorTime,
+  mergeCaptions,
+  offsetMapping,
+  retimeCaptions,
+  sortCaptions,
+  splitCaption,
+} from "../utils/captionUtils";
+import {
+  DEFAULT_QC_SETTINGS,
+  fixQcRule,
+  getQcRule,
+  loadQcSettings,
+  runQc,
+  saveQcSettings,
+} from "../utils/qcUtils";
+import {
+  CAPTION_FORMATS,
+  detectCaptionFormat,
+  getImportAccept,
+  parseCaptionFile,
+  serializeCaptions,
+  validateCaptions,
+} from "../utils/captionFormats";
+import { downloadTextFile, getFileInfo, isSameFile } from "../utils/fileUtils";
 import VideoPlayer from "../components/VideoPlayer";
+import Timeline from "../components/Timeline";
+import HistoryPanel from "../components/HistoryPanel";
+import { useUndoable } from "../hooks/use-undoable";
+import { useWaveform } from "../hooks/use-waveform";
+import { getVideoUrlType } from "../utils/videoUrl";
+import {
+  createProject,
+  deleteProject,
+  duplicateProject,
+  getCurrentProjectId,
+  getProject,
+  listProjects,
+  migrateLegacySession,
+  renameProject,
+  saveProject,
+  setCurrentProjectId,
+} from "../utils/projectStore";
+import TimeSettingsControl from "../components/TimeSettingsControl";
+import {
+  countTrackCaptions,
+  createTrack,
+  DEFAULT_TRACK_ID,
+  generateTrackId,
+  getTrackFileName,
+  updateTrackCaptions,
+} from "../utils/trackUtils";
+import { applyTimingLocks, setTranslation } from "../utils/translationUtils";
+import { getWordSplit, syncWordTimings } from "../utils/wordTimingUtils";
+import { CUSTOM_POSITION } from "../utils/captionStyles";
+import { SCC_CHANNELS } from "../utils/sccUtils";
+
+// The parts of a project the editor changes, in the order the autosave
+// snapshot compares them
+const getProjectContent = ({
+  videoUrl,
+  localVideo,
+  tracks,
+  activeTrackId,
+  settings,
+}) => ({
+  videoUrl,
+  localVideo,
+  tracks,
+  activeTrackId,
+  settings,
+});
+
+// Spotting: a key held longer than this stamps the out point on release;
+// shorter presses are taps, and the next tap stamps it instead
+const SPOT_HOLD_MS = 300;
+const MIN_SPOT_SECONDS = 0.2;
+
+// Batch retimes leave captions that would leave the video untouched
+const warnSkipped = (skipped) => {
+  if (skipped > 0) {
+    toast.warning(
+      `${skipped} captions would fall outside the video and were left unchanged`
+    );
+  }
+};
 
 export default function Home() {
+  // Project library
+  const [project, setProject] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [isLoadingProjects, setIsLoadingProjects] = useState(true);
+  const [view, setView] = useState("editor");
+  const lastSavedRef = useRef(null);
+  const projectStateRef = useRef(null);
+
   // Core state management
   const [videoUrl, setVideoUrl] = useState("");
-  const [captions, setCaptions] = useState([]);
+  // Name/size/duration of a video opened from disk; its object URL can't
+  // outlive the page, so a restored session asks for the file again
+  const [localVideo, setLocalVideo] = useState(null);
+  const [missingVideo, setMissingVideo] = useState(null);
+  // Every track is one undoable state, so track edits share the history
+  const {
+    state: tracks,
+    apply: applyTrackState,
+    reset: resetTracks,
+    undo,
+    redo,
+    travel,
+    past: historyPast,
+    future: historyFuture,
+    canUndo,
+  } = useUndoable([createTrack()]);
+  // Translations locked to a source follow its timing in the same step, and
+  // word timings follow their captions
+  const applyTracks = useCallback(
+    (label, updater, options) =>
+      applyTrackState(
+        label,
+        (prev) =>
+          applyTimingLocks(
+            syncWordTimings(
+              prev,
+              typeof updater === "function" ? updater(prev) : updater
+            )
+          ),
+        options
+      ),
+    [applyTrackState]
+  );
+  const [activeTrackId, setActiveTrackId] = useState(DEFAULT_TRACK_ID);
+  // Undo can remove the active track; fall back to the first one
+  const activeTrack =
+    tracks.find((track) => track.id === activeTrackId) || tracks[0];
+  const captions = activeTrack.captions;
+  // Caption edits go to the active track
+  const applyCaptions = useCallback(
+    (label, updater, options) =>
+      applyTracks(
+        label,
+        (prev) => updateTrackCaptions(prev, activeTrack.id, updater),
+        options
+      ),
+    [applyTracks, activeTrack.id]
+  );
+  const overlayCaptions = useMemo(
+    () =>
+      tracks
+        .filter((track) => track.overlay)
+        .flatMap((track) =>
+          track.captions.map((caption) => ({ ...caption, trackId: track.id }))
+        ),
+    [tracks]
+  );
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [selectedCaption, setSelectedCaption] = useState(null);
+  // Checked captions in the list, for bulk actions; separate from the one
+  // being edited
+  const [selectedIds, setSelectedIds] = useState([]);
   const [isVideoReady, setIsVideoReady] = useState(false);
+  const [exportFormat, setExportFormat] = useState("json");
+  const [sccChannel, setSccChannel] = useState(SCC_CHANNELS[0].value);
+  const [timeSettings, setTimeSettings] = useState(DEFAULT_TIME_SETTINGS);
+  const [qcSettings, setQcSettings] = useState(DEFAULT_QC_SETTINGS);
+  const [showTranscriptImport, setShowTranscriptImport] = useState(false);
+  const [showWhisperImport, setShowWhisperImport] = useState(false);
+  const [showSpotting, setShowSpotting] = useState(false);
+  const [showTranslation, setShowTranslation] = useState(false);
+  // Caption the player repeats while it's being translated
+  const [loopCue, setLoopCue] = useState(null);
+  // Active spotting session: caption ids to time, in order, and where we are
+  const [spotting, setSpotting] = useState(null);
+  const [pendingSpotStart, setPendingSpotStart] = useState(null);
+  const spotKeyDownAtRef = useRef(null);
+  const playerRef = useRef(null);
+  const videoUrlType = getVideoUrlType(videoUrl);
+  const { waveform, status: waveformStatus } = useWaveform(videoUrl, {
+    enabled: videoUrlType === "direct" || videoUrlType === "local",
+    cacheKey:
+      videoUrlType === "local" && localVideo
+        ? `file:${localVideo.name}:${localVideo.size}:${localVideo.lastModified}`
+        : videoUrl,
+  });
+  // Object URLs are meaningless outside this page, so they're never saved
+  const savedVideoUrl = videoUrlType === "local" ? "" : videoUrl;
+
+  // Exact playback position, between the player's progress updates
+  const getPlayerTime = useCallback(() => {
+    const time = playerRef.current?.getCurrentTime();
+    return typeof time === "number" && !isNaN(time) ? time : currentTime;
+  }, [currentTime]);
+
+  // Seek the player directly; small jumps fall under VideoPlayer's sync threshold
+  const seekTo = useCallback(
+    (time) => {
+      const target = Math.max(
+        0,
+        duration > 0 ? Math.min(duration, time) : time
+      );
+      setCurrentTime(target);
+      playerRef.current?.seekTo(target, "seconds");
+    },
+    [duration]
+  );
+
+  const stepFrame = useCallback(
+    (delta) => {
+      setIsPlaying(false);
+      seekTo(stepFrames(getPlayerTime(), timeSettings.frameRate, delta));
+    },
+    [seekTo, getPlayerTime, timeSettings.frameRate]
+  );
+
+  // Latest editor state, for saves triggered outside the autosave effect
+  projectStateRef.current = {
+    project,
+    content: getProjectContent({
+      videoUrl: savedVideoUrl,
+      // Keep remembering a local file the user hasn't re-linked yet
+      localVideo: videoUrlType === "local" ? localVideo : missingVideo,
+      tracks,
+      activeTrackId: activeTrack.id,
+      settings: timeSettings,
+    }),
+  };
+
+  const saveCurrentProject = useCallback(async () => {
+    const { project, content } = projectStateRef.current;
+    if (!project) return;
+
+    const snapshot = JSON.stringify(content);
+    if (snapshot === lastSavedRef.current) return;
+
+    await saveProject({ ...project, ...content });
+    lastSavedRef.current = snapshot;
+  }, []);
+
+  const refreshProjects = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error("Error listing projects:", error);
+      toast.error("Could not load the project library");
+    } finally {
+      setIsLoadingProjects(false);
+    }
+  }, []);
 
   // Auto-save functionality
   useEffect(() => {
     const autoSave = setTimeout(() => {
-      if (captions.length > 0) {
-        localStorage.setItem(
-          "video-captions",
-          JSON.stringify({
-            videoUrl,
-            captions,
-            lastModified: new Date().toISOString(),
-          })
-        );
-      }
+      saveCurrentProject().catch((error) => {
+        console.error("Error saving project:", error);
+        toast.error("Could not save project");
+      });
     }, 2000);
 
     return () => clearTimeout(autoSave);
-  }, [captions, videoUrl]);
+  }, [
+    project,
+    tracks,
+    activeTrack.id,
+    savedVideoUrl,
+    videoUrlType,
+    localVideo,
+    missingVideo,
+    timeSettings,
+    saveCurrentProject,
+  ]);
+
+  const loadProject = useCallback(
+    (data) => {
+      const settings = { ...DEFAULT_TIME_SETTINGS, ...data.settings };
+      const pendingVideo = data.videoUrl ? null : data.localVideo;
+      const activeTrackId = data.tracks.some(
+        (track) => track.id === data.activeTrackId
+      )
+        ? data.activeTrackId
+        : data.tracks[0].id;
+
+      setProject({ id: data.id, name: data.name, createdAt: data.createdAt });
+      resetTracks(data.tracks);
+      setActiveTrackId(activeTrackId);
+      setSelectedIds([]);
+      setVideoUrl(data.videoUrl);
+      setLocalVideo(null);
+      setMissingVideo(pendingVideo || null);
+      setTimeSettings(settings);
+      setSelectedCaption(null);
+      setCurrentTime(0);
+      setIsPlaying(false);
+      setIsVideoReady(Boolean(data.videoUrl));
+      setSpotting(null);
+      setPendingSpotStart(null);
+      setCurrentProjectId(data.id);
+      setView("editor");
+
+      lastSavedRef.current = JSON.stringify(
+        getProjectContent({
+          videoUrl: data.videoUrl,
+          localVideo: pendingVideo || null,
+          tracks: data.tracks,
+          activeTrackId,
+          settings,
+        })
+      );
+    },
+    [resetTracks]
+  );
 
-  // Load saved data on mount
+  // Open the last project on mount, moving an old single-session save into
+  // the library first. Runs once: StrictMode re-runs effects in development,
+  // which would migrate or create a project twice.
+  const initStartedRef = useRef(false);
   useEffect(() => {
-    const saved = localStorage.getItem("video-captions");
-    if (saved) {
+    if (initStartedRef.current) return;
+    initStartedRef.current = true;
+
+    const init = async () => {
       try {
-        const data = JSON.parse(saved);
-        if (data.captions && data.captions.length > 0) {
-          setCaptions(data.captions);
-          if (data.videoUrl) {
-            setVideoUrl(data.videoUrl);
+        const migrated = await migrateLegacySession();
+        if (migrated) {
+          toast.success("Previous session moved to your project library");
+        }
+
+        const id = getCurrentProjectId() || migrated?.id;
+        let data = id ? await getProject(id) : null;
+
+        if (!data && (await listProjects()).length === 0) {
+          data = await createProject();
+        }
+
+        if (data) {
+          loadProject(data);
+          if (countTrackCaptions(data.tracks) > 0) {
+            toast.success(`Opened "${data.name}"`);
           }
-          toast.success("Previous session restored");
+        } else {
+          setView("library");
         }
       } catch (error) {
         console.error("Error loading saved data:", error);
+        toast.error("Project library unavailable; changes won't be saved");
+      }
+      refreshProjects();
+    };
+
+    init();
+  }, [loadProject, refreshProjects]);
+
+  const showLibrary = useCallback(async () => {
+    try {
+      await saveCurrentProject();
+    } catch (error) {
+      console.error("Error saving project:", error);
+    }
+    setIsPlaying(false);
+    setView("library");
+    refreshProjects();
+  }, [saveCurrentProject, refreshProjects]);
+
+  const openProject = useCallback(
+    async (id) => {
+      try {
+        await saveCurrentProject();
+        const data = await getProject(id);
+        if (!data) {
+          toast.error("Project not found");
+          return;
+        }
+        loadProject(data);
+      } catch (error) {
+        console.error("Error opening project:", error);
+        toast.error("Could not open project");
       }
+    },
+    [saveCurrentProject, loadProject]
+  );
+
+  const createNewProject = useCallback(async () => {
+    try {
+      await saveCurrentProject();
+      loadProject(await createProject());
+      toast.success("New project created");
+    } catch (error) {
+      console.error("Error creating project:", error);
+      toast.error("Could not create project");
+    }
+  }, [saveCurrentProject, loadProject]);
+
+  const renameLibraryProject = useCallback(
+    async (id, name) => {
+      try {
+        // Store pending edits first so the rename doesn't write stale content
+        if (id === project?.id) {
+          await saveCurrentProject();
+          setProject((prev) => ({ ...prev, name }));
+        }
+        await renameProject(id, name);
+        refreshProjects();
+      } catch (error) {
+        console.error("Error renaming project:", error);
+        toast.error("Could not rename project");
+      }
+    },
+    [project, saveCurrentProject, refreshProjects]
+  );
+
+  const duplicateLibraryProject = useCallback(
+    async (id) => {
+      try {
+        if (id === project?.id) {
+          await saveCurrentProject();
+        }
+        const copy = await duplicateProject(id);
+        toast.success(`Created "${copy.name}"`);
+        refreshProjects();
+      } catch (error) {
+        console.error("Error duplicating project:", error);
+        toast.error("Could not duplicate project");
+      }
+    },
+    [project, saveCurrentProject, refreshProjects]
+  );
+
+  const deleteLibraryProject = useCallback(
+    async (id) => {
+      try {
+        await deleteProject(id);
+        if (id === project?.id) {
+          setProject(null);
+          setCurrentProjectId(null);
+          resetTracks([createTrack()]);
+          setActiveTrackId(DEFAULT_TRACK_ID);
+          setVideoUrl("");
+          setLocalVideo(null);
+          setMissingVideo(null);
+          setSelectedCaption(null);
+        }
+        toast.success("Project deleted");
+        refreshProjects();
+      } catch (error) {
+        console.error("Error deleting project:", error);
+        toast.error("Could not delete project");
+      }
+    },
+    [project, resetTracks, refreshProjects]
+  );
+
+  const objectUrlRef = useRef(null);
+
+  const changeVideoUrl = useCallback((url) => {
+    setVideoUrl(url);
+    if (getVideoUrlType(url) !== "local") {
+      setLocalVideo(null);
     }
   }, []);
 
-  // Keyboard shortcuts
+  const openLocalVideo = useCallback(
+    (file) => {
+      if (missingVideo && !isSameFile(file, missingVideo)) {
+        toast.warning(
+          `This file doesn't match the original (${missingVideo.name}); captions may be out of sync`
+        );
+      }
+
+      if (objectUrlRef.current) {
+        URL.revokeObjectURL(objectUrlRef.current);
+      }
+      const url = URL.createObjectURL(file);
+      objectUrlRef.current = url;
+
+      setVideoUrl(url);
+      setLocalVideo(getFileInfo(file));
+      setMissingVideo(null);
+      setIsVideoReady(true);
+      toast.success(`Loaded ${file.name}`);
+    },
+    [missingVideo]
+  );
+
+  const handleDurationChange = useCallback((value) => {
+    setDuration(value);
+    setLocalVideo((prev) => (prev ? { ...prev, duration: value } : prev));
+  }, []);
+
+  // Drop the selection when undo/redo removes the selected caption
   useEffect(() => {
-    const handleKeyPress = (e) => {
-      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA")
-        return;
+    if (
+      selectedCaption &&
+      !captions.some((caption) => caption.id === selectedCaption.id)
+    ) {
+      setSelectedCaption(null);
+    }
+  }, [captions, selectedCaption]);
 
-      switch (e.key) {
-        case " ":
-          e.preventDefault();
-          setIsPlaying((prev) => !prev);
-          break;
-        case "ArrowLeft":
-          e.preventDefault();
-          setCurrentTime((prev) => Math.max(0, prev - 5));
-          break;
-        case "ArrowRight":
-          e.preventDefault();
-          setCurrentTime((prev) => Math.min(duration, prev + 5));
-          break;
-        case "Escape":
-          setSelectedCaption(null);
-          break;
+  // Forget checked captions that no longer exist
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const remaining = prev.filter((id) =>
+        captions.some((caption) => caption.id === id)
+      );
+      return remaining.length === prev.length ? prev : remaining;
+    });
+  }, [captions]);
+
+  // Track management
+  const selectTrack = useCallback((id) => {
+    setActiveTrackId(id);
+    setSelectedCaption(null);
+    setSelectedIds([]);
+    // A spotting queue belongs to the track it was started on
+    setSpotting(null);
+    setPendingSpotStart(null);
+  }, []);
+
+  const addTrack = useCallback(() => {
+    const track = createTrack({
+      id: generateTrackId(),
+      name: `Track ${tracks.length + 1}`,
+    });
+    applyTracks("Add track", (prev) => [...prev, track]);
+    selectTrack(track.id);
+  }, [tracks.length, applyTracks, selectTrack]);
+
+  const updateTrack = useCallback(
+    (id, changes) => {
+      const [property] = Object.keys(changes);
+      applyTracks(
+        "Edit track",
+        (prev) =>
+          prev.map((track) =>
+            track.id === id ? { ...track, ...changes } : track
+          ),
+        // Typing a name collapses into one step
+        { group: `track-${id}-${property}` }
+      );
+    },
+    [applyTracks]
+  );
+
+  const deleteTrack = useCallback(
+    (id) => {
+      const track = tracks.find((t) => t.id === id);
+      if (!track || tracks.length === 1) return;
+
+      applyTracks(`Delete track "${track.name}"`, (prev) =>
+        prev.filter((t) => t.id !== id)
+      );
+      if (id === activeTrack.id) {
+        selectTrack(tracks.find((t) => t.id !== id).id);
       }
-    };
+      toast.success(`Deleted track "${track.name}"`, {
+        action: { label: "Undo", onClick: undo },
+      });
+    },
+    [tracks, activeTrack.id, applyTracks, selectTrack, undo]
+  );
 
-    window.addEventListener("keydown", handleKeyPress);
-    return () => window.removeEventListener("keydown", handleKeyPress);
-  }, [duration]);
+  // Translation: a new track linked to its source, timed by it until
+  // unlocked
+  const createTranslationTrack = useCallback(
+    (sourceId, language) => {
+      const source = tracks.find((track) => track.id === sourceId);
+      const track = createTrack({
+        id: generateTrackId(),
+        name: language
+          ? `${source.name} (${language})`
+          : `${source.name} translation`,
+        language,
+        kind: source.kind,
+        overlay: false,
+        sourceTrackId: source.id,
+        lockTiming: true,
+      });
+      applyTracks("Add translation track", (prev) => [...prev, track]);
+      return track.id;
+    },
+    [tracks, applyTracks]
+  );
+
+  const translateCaption = useCallback(
+    (trackId, { source, target }, changes) => {
+      applyTracks(
+        "Edit translation",
+        (prev) =>
+          updateTrackCaptions(prev, trackId, (captions) =>
+            setTranslation(captions, source, target, changes)
+          ),
+        { group: `translate-${source.id}` }
+      );
+    },
+    [applyTracks]
+  );
+
+  const loopCaption = useCallback(
+    (caption) => {
+      setLoopCue(caption);
+      if (caption) {
+        seekTo(caption.startTime);
+        setIsPlaying(true);
+      }
+    },
+    [seekTo]
+  );
+
+  useEffect(() => {
+    if (loopCue && isPlaying && currentTime >= loopCue.endTime) {
+      seekTo(loopCue.startTime);
+    }
+  }, [loopCue, isPlaying, currentTime, seekTo]);
 
   // Caption management functions
   const addCaption = useCallback(
@@ -104,6 +676,7 @@ export default function Home() {
         endTime: parseTime(captionData.endTime),
         text: captionData.text,
         style: captionData.style || {},
+        ...(captionData.words && { words: captionData.words }),
       };
 
       // Validate timestamp logic
@@ -127,108 +700,704 @@ export default function Home() {
         toast.warning("Caption overlaps with existing caption");
       }
 
-      setCaptions((prev) =>
+      applyCaptions("Add caption", (prev) =>
         [...prev, newCaption].sort((a, b) => a.startTime - b.startTime)
       );
       toast.success("Caption added successfully");
     },
-    [captions, duration]
+    [captions, duration, applyCaptions]
   );
 
-  const updateCaption = useCallback((id, updates) => {
-    setCaptions((prev) =>
-      prev.map((caption) =>
-        caption.id === id ? { ...caption, ...updates } : caption
-      )
-    );
-    toast.success("Caption updated");
-  }, []);
+  const updateCaption = useCallback(
+    (id, updates) => {
+      applyCaptions(
+        "Edit caption",
+        (prev) =>
+          prev.map((caption) =>
+            caption.id === id ? { ...caption, ...updates } : caption
+          ),
+        { group: `update-${id}` }
+      );
+      toast.success("Caption updated");
+    },
+    [applyCaptions]
+  );
 
-  const deleteCaption = useCallback((id) => {
-    setCaptions((prev) => prev.filter((caption) => caption.id !== id));
-    setSelectedCaption(null);
-    toast.success("Caption deleted");
+  // Timeline drags: no toast, and repeated nudges of one caption undo together.
+  // A dragged caption counts as timed, so spotting no longer queues it.
+  const retimeCaption = useCallback(
+    (id, times) => {
+      if (activeTrack.lockTiming) {
+        toast.error("This track's timing is locked to its source");
+        return;
+      }
+      applyCaptions(
+        "Retime caption",
+        (prev) =>
+          prev.map((caption) => {
+            if (caption.id !== id) return caption;
+            const { untimed, ...timed } = caption;
+            return { ...timed, ...times };
+          }),
+        { group: `retime-${id}` }
+      );
+      setSelectedCaption((prev) =>
+        prev && prev.id === id ? { ...prev, ...times } : prev
+      );
+    },
+    [activeTrack.lockTiming, applyCaptions]
+  );
+
+  // Dragged on the video: the caption may belong to any overlaid track
+  const moveCaption = useCallback(
+    ({ id, trackId }, { x, y }) => {
+      const place = (caption) => ({
+        ...caption,
+        style: { ...caption.style, position: CUSTOM_POSITION, x, y },
+      });
+      applyTracks("Move caption", (prev) =>
+        updateTrackCaptions(prev, trackId, (captions) =>
+          captions.map((caption) =>
+            caption.id === id ? place(caption) : caption
+          )
+        )
+      );
+      if (trackId === activeTrack.id) {
+        setSelectedCaption((prev) =>
+          prev && prev.id === id ? place(prev) : prev
+        );
+      }
+    },
+    [applyTracks, activeTrack.id]
+  );
+
+  const deleteCaption = useCallback(
+    (id) => {
+      applyCaptions("Delete caption", (prev) =>
+        prev.filter((caption) => caption.id !== id)
+      );
+      setSelectedCaption(null);
+      toast.success("Caption deleted", {
+        action: { label: "Undo", onClick: undo },
+      });
+    },
+    [applyCaptions, undo]
+  );
+
+  // Split at the playhead, or at the text cursor when `time` is omitted.
+  // `text` carries unsaved edits from the editor so the cursor index matches.
+  const splitCaptionAt = useCallback(
+    (id, { time, cursor, text } = {}) => {
+      const source = captions.find((caption) => caption.id === id);
+      if (!source) return;
+
+      const caption = { ...source, text: text ?? source.text };
+      const atCursor = time === undefined;
+      if (atCursor && !(cursor > 0 && cursor < caption.text.length)) {
+        toast.error("Place the text cursor where the caption should split");
+        return;
+      }
+
+      // With word timings the split falls between two spoken words: the ones
+      // around the playhead, or around the text cursor for a cursor split
+      const wordSplit = getWordSplit(caption, atCursor ? { cursor } : { time });
+      const splitTime = snapTimestamp(
+        wordSplit
+          ? wordSplit.time
+          : atCursor
+          ? getCursorTime(caption, cursor)
+          : time,
+        timeSettings
+      );
+      const parts = splitCaption(caption, {
+        time: splitTime,
+        cursor: wordSplit ? wordSplit.cursor : cursor,
+        newId: Date.now().toString(),
+      });
+
+      if (!parts) {
+        toast.error(
+          atCursor
+            ? "Can't split there: both parts need text and screen time"
+            : "Move the playhead inside the caption, away from its edges"
+        );
+        return;
+      }
+
+      applyCaptions("Split caption", (prev) =>
+        prev
+          .flatMap((c) => (c.id === id ? parts : [c]))
+          .sort((a, b) => a.startTime - b.startTime)
+      );
+      setSelectedCaption(parts[0]);
+      toast.success("Caption split");
+    },
+    [captions, timeSettings, applyCaptions]
+  );
+
+  const mergeCaption = useCallback(
+    (id, direction) => {
+      const caption = captions.find((c) => c.id === id);
+      const neighbour = getAdjacentCaption(captions, id, direction);
+      if (!caption || !neighbour) {
+        toast.error(`No ${direction} caption to merge with`);
+        return;
+      }
+
+      const merged = mergeCaptions(caption, neighbour);
+      const removedId = merged.id === id ? neighbour.id : id;
+
+      applyCaptions("Merge captions", (prev) =>
+        prev
+          .filter((c) => c.id !== removedId)
+          .map((c) => (c.id === merged.id ? merged : c))
+      );
+      setSelectedCaption((prev) =>
+        prev && (prev.id === id || prev.id === neighbour.id) ? merged : prev
+      );
+      toast.success("Captions merged");
+    },
+    [captions, applyCaptions]
+  );
+
+  // QC rules are a personal house style, so they live outside projects
+  useEffect(() => {
+    setQcSettings(loadQcSettings());
   }, []);
 
-  const seekToCaption = useCallback((startTime) => {
-    setCurrentTime(startTime);
-    setIsPlaying(true);
+  const changeQcSettings = useCallback((settings) => {
+    setQcSettings(settings);
+    saveQcSettings(settings);
   }, []);
 
-  // Export/Import functionality
-  const exportCaptions = useCallback(() => {
-    if (captions.length === 0) {
-      toast.error("No captions to export");
+  const qcIssues = useMemo(
+    () => runQc(captions, qcSettings, duration),
+    [captions, qcSettings, duration]
+  );
+
+  // Jump to a caption found by QC or find/replace and open it in the editor
+  const focusCaption = useCallback(
+    (caption) => {
+      setIsPlaying(false);
+      seekTo(caption.startTime);
+      setSelectedCaption(caption);
+    },
+    [seekTo]
+  );
+
+  const fixQcIssues = useCallback(
+    (ruleId) => {
+      const rule = getQcRule(ruleId);
+      const before = qcIssues.filter((issue) => issue.ruleId === ruleId).length;
+      const { captions: fixed, remaining } = fixQcRule(
+        captions,
+        ruleId,
+        qcSettings,
+        duration
+      );
+
+      if (remaining >= before) {
+        toast.warning(`No "${rule.label}" issues could be fixed automatically`);
+        return;
+      }
+
+      applyCaptions(`Fix ${rule.label.toLowerCase()}`, fixed);
+      toast.success(
+        remaining > 0
+          ? `Fixed ${before - remaining} issues; ${remaining} need a manual fix`
+          : `Fixed ${before} issues`,
+        { action: { label: "Undo", onClick: undo } }
+      );
+    },
+    [captions, qcIssues, qcSettings, duration, applyCaptions, undo]
+  );
+
+  // Batch edits: `updates` are partial captions with ids, applied as one
+  // undo step
+  const patchCaptions = useCallback(
+    (label, updates) => {
+      const byId = new Map(updates.map((update) => [update.id, update]));
+
+      applyCaptions(label, (prev) =>
+        prev
+          .map((caption) =>
+            byId.has(caption.id)
+              ? { ...caption, ...byId.get(caption.id) }
+              : caption
+          )
+          .sort((a, b) => a.startTime - b.startTime)
+      );
+      setSelectedCaption((prev) =>
+        prev && byId.has(prev.id) ? { ...prev, ...byId.get(prev.id) } : prev
+      );
+    },
+    [applyCaptions]
+  );
+
+  const syncCaptions = useCallback(
+    (updates, skipped) => {
+      patchCaptions(`Synchronize ${updates.length} captions`, updates);
+      toast.success(`Synchronized ${updates.length} captions`);
+      warnSkipped(skipped);
+    },
+    [patchCaptions]
+  );
+
+  // Bulk actions on the checked captions in the list
+  const deleteSelectedCaptions = useCallback(
+    (ids) => {
+      applyCaptions(`Delete ${ids.length} captions`, (prev) =>
+        prev.filter((caption) => !ids.includes(caption.id))
+      );
+      setSelectedIds([]);
+      toast.success(`Deleted ${ids.length} captions`, {
+        action: { label: "Undo", onClick: undo },
+      });
+    },
+    [applyCaptions, undo]
+  );
+
+  const styleSelectedCaptions = useCallback(
+    (ids, style) => {
+      patchCaptions(
+        `Restyle ${ids.length} captions`,
+        captions
+          .filter((caption) => ids.includes(caption.id))
+          .map((caption) => ({
+            id: caption.id,
+            style: { ...caption.style, ...style },
+          }))
+      );
+      toast.success(`Restyled ${ids.length} captions`);
+    },
+    [captions, patchCaptions]
+  );
+
+  const shiftSelectedCaptions = useCallback(
+    (ids, seconds) => {
+      const results = retimeCaptions(captions, offsetMapping(seconds), {
+        ids,
+        duration,
+        snap: (time) => snapTimestamp(time, timeSettings),
+      });
+      const updates = results
+        .filter((result) => result.valid)
+        .map(({ caption, startTime, endTime }) => ({
+          id: caption.id,
+          startTime,
+          endTime,
+        }));
+
+      if (updates.length > 0) {
+        patchCaptions(`Shift ${updates.length} captions`, updates);
+        toast.success(`Shifted ${updates.length} captions`);
+      }
+      warnSkipped(results.length - updates.length);
+    },
+    [captions, duration, timeSettings, patchCaptions]
+  );
+
+  const seekToCaption = useCallback(
+    (startTime) => {
+      seekTo(startTime);
+      setIsPlaying(true);
+    },
+    [seekTo]
+  );
+
+  // Spotting mode: stamp times on a queue of captions while the video plays
+  const startSpotting = useCallback(() => {
+    const sorted = sortCaptions(captions);
+    const untimed = sorted.filter((caption) => caption.untimed);
+    const fromIndex = selectedCaption
+      ? sorted.findIndex((caption) => caption.id === selectedCaption.id)
+      : sorted.findIndex((caption) => caption.startTime >= getPlayerTime());
+    const queue = (
+      untimed.length > 0
+        ? untimed
+        : fromIndex === -1
+        ? []
+        : sorted.slice(fromIndex)
+    ).map((caption) => caption.id);
+
+    if (queue.length === 0) {
+      toast.error("No captions left to spot");
       return;
     }
 
-    const data = {
-      videoUrl,
-      captions: captions.map((cap) => ({
-        startTime: formatTime(cap.startTime),
-        endTime: formatTime(cap.endTime),
-        text: cap.text,
-        style: cap.style,
-      })),
-      exportedAt: new Date().toISOString(),
+    setSpotting({ queue, position: 0 });
+    setPendingSpotStart(null);
+    setIsPlaying(true);
+  }, [captions, selectedCaption, getPlayerTime]);
+
+  const stopSpotting = useCallback(() => {
+    setSpotting(null);
+    setPendingSpotStart(null);
+    spotKeyDownAtRef.current = null;
+  }, []);
+
+  const stampSpottedCaption = useCallback(
+    (start, end) => {
+      const id = spotting.queue[spotting.position];
+      // Leave room for the shortest cue when stamping near the end
+      const startTime = snapTimestamp(
+        Math.max(0, Math.min(start, duration - MIN_SPOT_SECONDS)),
+        timeSettings
+      );
+      const endTime = snapTimestamp(
+        Math.min(duration, Math.max(end, startTime + MIN_SPOT_SECONDS)),
+        timeSettings
+      );
+      if (!validateTimestamp(startTime, endTime, duration)) {
+        toast.error(
+          "Invalid timestamp: End time must be after start time and within video duration"
+        );
+        setPendingSpotStart(null);
+        return;
+      }
+
+      applyCaptions("Spot caption", (prev) =>
+        prev
+          .map((caption) => {
+            if (caption.id !== id) return caption;
+            const { untimed, ...timed } = caption;
+            return { ...timed, startTime, endTime };
+          })
+          .sort((a, b) => a.startTime - b.startTime)
+      );
+      setPendingSpotStart(null);
+
+      const position = spotting.position + 1;
+      if (position >= spotting.queue.length) {
+        stopSpotting();
+        toast.success(`Spotted ${spotting.queue.length} captions`);
+      } else {
+        setSpotting({ ...spotting, position });
+      }
+    },
+    [spotting, duration, timeSettings, applyCaptions, stopSpotting]
+  );
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      // Alt shortcuts also work while typing, so a split can use the cursor
+      // in the caption text box. e.code, since Alt changes e.key on macOS.
+      if (e.altKey && !e.ctrlKey && !e.metaKey) {
+        if (e.code !== "KeyS" && e.code !== "KeyM") return;
+        e.preventDefault();
+        if (!selectedCaption) {
+          toast.error("Select a caption first");
+          return;
+        }
+
+        if (e.code === "KeyM") {
+          mergeCaption(selectedCaption.id, e.shiftKey ? "previous" : "next");
+          return;
+        }
+
+        const textBox = e.target.id === "captionText" ? e.target : null;
+        const edit = textBox && {
+          cursor: textBox.selectionStart,
+          text: textBox.value,
+        };
+        splitCaptionAt(
+          selectedCaption.id,
+          e.shiftKey ? { ...edit } : { ...edit, time: getPlayerTime() }
+        );
+        return;
+      }
+
+      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA")
+        return;
+
+      if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        if (key === "z" || key === "y") {
+          e.preventDefault();
+          if (key === "y" || e.shiftKey) {
+            redo();
+          } else {
+            undo();
+          }
+        }
+        return;
+      }
+
+      switch (e.key) {
+        case " ":
+          e.preventDefault();
+          setIsPlaying((prev) => !prev);
+          break;
+        case "ArrowLeft":
+          e.preventDefault();
+          setCurrentTime((prev) => Math.max(0, prev - 5));
+          break;
+        case "ArrowRight":
+          e.preventDefault();
+          setCurrentTime((prev) => Math.min(duration, prev + 5));
+          break;
+        case ",":
+          e.preventDefault();
+          stepFrame(-1);
+          break;
+        case ".":
+          e.preventDefault();
+          stepFrame(1);
+          break;
+        case "t":
+        case "T":
+          if (!spotting) break;
+          e.preventDefault();
+          if (e.repeat) break;
+          if (pendingSpotStart === null) {
+            setPendingSpotStart(getPlayerTime());
+            spotKeyDownAtRef.current = Date.now();
+          } else {
+            stampSpottedCaption(pendingSpotStart, getPlayerTime());
+          }
+          break;
+        case "Escape":
+          setSelectedCaption(null);
+          setSelectedIds([]);
+          break;
+      }
     };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `captions-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    toast.success("Captions exported successfully");
-  }, [captions, videoUrl]);
-
-  const importCaptions = useCallback((event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        if (data.captions && Array.isArray(data.captions)) {
+    // Releasing a held spotting key marks the out point
+    const handleKeyUp = (e) => {
+      if (e.key.toLowerCase() !== "t" || !spotting) return;
+      const downAt = spotKeyDownAtRef.current;
+      spotKeyDownAtRef.current = null;
+      if (
+        pendingSpotStart !== null &&
+        downAt !== null &&
+        Date.now() - downAt > SPOT_HOLD_MS
+      ) {
+        stampSpottedCaption(pendingSpotStart, getPlayerTime());
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyPress);
+    window.addEventListener("keyup", handleKeyUp);
+    return () => {
+      window.removeEventListener("keydown", handleKeyPress);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, [
+    duration,
+    stepFrame,
+    undo,
+    redo,
+    selectedCaption,
+    splitCaptionAt,
+    mergeCaption,
+    getPlayerTime,
+    spotting,
+    pendingSpotStart,
+    stampSpottedCaption,
+  ]);
+
+  // Export/Import functionality
+  const downloadCaptions = useCallback(
+    (list, baseName, track) => {
+      if (list.length === 0) {
+        toast.error("No captions to export");
+        return;
+      }
+
+      const format = CAPTION_FORMATS[exportFormat];
+      const meta = {
+        videoUrl: savedVideoUrl,
+        track,
+        frameRate: timeSettings.frameRate,
+        sccChannel,
+      };
+
+      const download = () => {
+        try {
+          downloadTextFile(
+            serializeCaptions(list, exportFormat, meta),
+            `${baseName}-${Date.now()}.${format.extension}`,
+            format.mimeType
+          );
+          toast.success(`Captions exported as ${format.label}`);
+        } catch (error) {
+          toast.error(error.message || "Error exporting captions");
+        }
+      };
+
+      // Report profile violations first; the user can still export as is
+      const issues = validateCaptions(list, exportFormat, meta);
+      if (issues.length > 0) {
+        const shown = issues.slice(0, 3).map((issue) => issue.message);
+        if (issues.length > shown.length) {
+          shown.push(`…and ${issues.length - shown.length} more`);
+        }
+        toast.error(
+          `${issues.length} ${
+            issues.length === 1 ? "problem" : "problems"
+          } for ${format.label}`,
+          {
+            description: shown.join("; "),
+            duration: 10000,
+            action: { label: "Export anyway", onClick: download },
+          }
+        );
+        return;
+      }
+
+      download();
+    },
+    [savedVideoUrl, exportFormat, timeSettings.frameRate, sccChannel]
+  );
+
+  const exportTrack = useCallback(
+    (id) => {
+      const track = tracks.find((t) => t.id === id);
+      if (track) {
+        downloadCaptions(track.captions, getTrackFileName(track), track);
+      }
+    },
+    [tracks, downloadCaptions]
+  );
+
+  const exportCaptions = useCallback(
+    () => exportTrack(activeTrack.id),
+    [activeTrack.id, exportTrack]
+  );
+
+  const exportSelectedCaptions = useCallback(
+    (ids) =>
+      downloadCaptions(
+        captions.filter((caption) => ids.includes(caption.id)),
+        `${getTrackFileName(activeTrack)}-selection`,
+        activeTrack
+      ),
+    [captions, activeTrack, downloadCaptions]
+  );
+
+  const importTranscript = useCallback(
+    (newCaptions, replace) => {
+      applyCaptions(
+        `Import transcript (${newCaptions.length} captions)`,
+        (prev) =>
+          replace
+            ? newCaptions
+            : [...prev, ...newCaptions].sort(
+                (a, b) => a.startTime - b.startTime
+              )
+      );
+      setShowTranscriptImport(false);
+      toast.success(
+        `Created ${newCaptions.length} captions; adjust their timing on the timeline`
+      );
+    },
+    [applyCaptions]
+  );
+
+  // Speech recognition output; its language fills in a track without one
+  const importWhisper = useCallback(
+    (newCaptions, replace, language) => {
+      applyTracks(`Import Whisper (${newCaptions.length} captions)`, (prev) =>
+        prev.map((track) =>
+          track.id === activeTrack.id
+            ? {
+                ...track,
+                captions: replace
+                  ? newCaptions
+                  : sortCaptions([...track.captions, ...newCaptions]),
+                language: track.language || language,
+              }
+            : track
+        )
+      );
+      setShowWhisperImport(false);
+      toast.success(`Created ${newCaptions.length} captions from Whisper`);
+    },
+    [applyTracks, activeTrack.id]
+  );
+
+  const importCaptions = useCallback(
+    (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      // Allow picking the same file again after fixing it
+      event.target.value = "";
+
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        const content = e.target.result;
+        const format = detectCaptionFormat(file.name, content);
+
+        if (!format) {
+          toast.error("Unrecognised caption file format");
+          return;
+        }
+
+        try {
+          const data = parseCaptionFile(content, format);
           const importedCaptions = data.captions.map((cap, index) => ({
             id: `imported-${Date.now()}-${index}`,
-            startTime: parseTime(cap.startTime),
-            endTime: parseTime(cap.endTime),
-            text: cap.text,
-            style: cap.style || {},
+            ...cap,
           }));
 
-          setCaptions(importedCaptions);
+          // ASS styles become presets on the track, next to any it has
+          applyTracks(`Import ${importedCaptions.length} captions`, (prev) =>
+            prev.map((track) =>
+              track.id === activeTrack.id
+                ? {
+                    ...track,
+                    captions: importedCaptions,
+                    ...(data.stylePresets && {
+                      stylePresets: {
+                        ...track.stylePresets,
+                        ...data.stylePresets,
+                      },
+                    }),
+                  }
+                : track
+            )
+          );
           if (data.videoUrl) {
             setVideoUrl(data.videoUrl);
           }
-          toast.success(`Imported ${importedCaptions.length} captions`);
-        } else {
-          toast.error("Invalid caption file format");
+          toast.success(
+            `Imported ${importedCaptions.length} captions from ${CAPTION_FORMATS[format].label}`
+          );
+        } catch (error) {
+          toast.error(error.message || "Error reading caption file");
         }
-      } catch (error) {
-        toast.error("Error reading caption file");
-      }
-    };
-    reader.readAsText(file);
-  }, []);
+      };
+      reader.readAsText(file);
+    },
+    [applyTracks, activeTrack.id]
+  );
 
   const resetAll = useCallback(() => {
-    setCaptions([]);
+    const previousUrl = videoUrl;
+    const previousLocalVideo = localVideo;
+    const previousMissingVideo = missingVideo;
+    applyTracks("Reset", [createTrack()]);
     setVideoUrl("");
+    setLocalVideo(null);
+    setMissingVideo(null);
     setCurrentTime(0);
     setSelectedCaption(null);
     setIsPlaying(false);
-    localStorage.removeItem("video-captions");
-    toast.success("All data cleared");
-  }, []);
+    toast.success("All data cleared", {
+      action: {
+        label: "Undo",
+        onClick: () => {
+          undo();
+          setVideoUrl(previousUrl);
+          setLocalVideo(previousLocalVideo);
+          setMissingVideo(previousMissingVideo);
+        },
+      },
+    });
+  }, [videoUrl, localVideo, missingVideo, applyTracks, undo]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
@@ -245,199 +1414,542 @@ export default function Home() {
           <p className="text-slate-400 text-sm lg:text-base">
             Professional video captioning and subtitle editing tool
           </p>
+          {view === "editor" && (
+            <div className="mt-3 flex items-center justify-center gap-2">
+              {project && (
+                <span className="text-sm text-slate-300 truncate max-w-xs">
+                  {project.name}
+                </span>
+              )}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={showLibrary}
+                className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+              >
+                <FolderOpen className="w-4 h-4 mr-2" />
+                Projects
+              </Button>
+            </div>
+          )}
         </motion.div>
 
-        {/* Video URL Input */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className="mb-6 lg:mb-8"
-        >
-          <VideoUrlInput
-            value={videoUrl}
-            onChange={setVideoUrl}
-            onValidUrl={() => setIsVideoReady(true)}
+        {view === "library" ? (
+          <ProjectLibrary
+            projects={projects}
+            currentProjectId={project?.id}
+            isLoading={isLoadingProjects}
+            onOpen={openProject}
+            onCreate={createNewProject}
+            onRename={renameLibraryProject}
+            onDuplicate={duplicateLibraryProject}
+            onDelete={deleteLibraryProject}
+            onClose={() => setView("editor")}
           />
-        </motion.div>
-
-        {/* Main Content */}
-        <div className="grid grid-cols-1 xl:grid-cols-3 gap-4 lg:gap-8">
-          {/* Video Player Section */}
-          <motion.div
-            initial={{ opacity: 0, x: -20 }}
-            animate={{ opacity: 1, x: 0 }}
-            transition={{ delay: 0.2 }}
-            className="xl:col-span-2 order-1"
-          >
-            <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10">
-              <VideoPlayer
-                url={videoUrl}
-                currentTime={currentTime}
-                isPlaying={isPlaying}
-                captions={captions}
-                onTimeUpdate={setCurrentTime}
-                onDurationChange={setDuration}
-                onPlayPause={setIsPlaying}
-                onReady={() => setIsVideoReady(true)}
+        ) : (
+          <>
+            {/* Video URL Input */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="mb-6 lg:mb-8"
+            >
+              {missingVideo && (
+                <div className="mb-4">
+                  <RelinkVideoPrompt
+                    video={missingVideo}
+                    onRelink={openLocalVideo}
+                    onDismiss={() => setMissingVideo(null)}
+                  />
+                </div>
+              )}
+              <VideoUrlInput
+                value={videoUrl}
+                onChange={changeVideoUrl}
+                onValidUrl={() => setIsVideoReady(true)}
+                onFileSelect={openLocalVideo}
+                localVideo={localVideo}
               />
+            </motion.div>
 
-              {/* Video Controls */}
-              {isVideoReady && (
-                <motion.div
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  className="mt-4 space-y-4"
-                >
-                  {/* Playback Controls */}
-                  <div className="flex flex-col sm:flex-row sm:items-center gap-4">
-                    <div className="flex items-center gap-4">
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => setIsPlaying(!isPlaying)}
-                        className="bg-white/10 border-white/20 text-white hover:bg-white/20"
-                      >
-                        {isPlaying ? (
-                          <Pause className="w-4 h-4" />
-                        ) : (
-                          <Play className="w-4 h-4" />
-                        )}
-                      </Button>
-                      <div className="text-sm text-slate-400">
-                        {formatTime(currentTime)} / {formatTime(duration)}
-                      </div>
-                    </div>
-                  </div>
+            {/* Main Content */}
+            <div className="grid grid-cols-1 xl:grid-cols-3 gap-4 lg:gap-8">
+              {/* Video Player Section */}
+              <motion.div
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.2 }}
+                className="xl:col-span-2 order-1"
+              >
+                <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10">
+                  <VideoPlayer
+                    playerRef={playerRef}
+                    url={videoUrl}
+                    currentTime={currentTime}
+                    isPlaying={isPlaying}
+                    captions={overlayCaptions}
+                    onTimeUpdate={setCurrentTime}
+                    onDurationChange={handleDurationChange}
+                    onPlayPause={setIsPlaying}
+                    onReady={() => setIsVideoReady(true)}
+                    onFrameStep={stepFrame}
+                    onCaptionMove={moveCaption}
+                    timeSettings={timeSettings}
+                  />
 
-                  {/* Action Buttons */}
-                  <div className="flex flex-wrap gap-2">
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={exportCaptions}
-                      disabled={captions.length === 0}
-                      className="bg-green-500/20 border-green-500/30 text-green-400 hover:bg-green-500/30"
-                    >
-                      <Download className="w-4 h-4 mr-2" />
-                      Export
-                    </Button>
-                    <div className="relative">
-                      <input
-                        type="file"
-                        accept=".json"
-                        onChange={importCaptions}
-                        className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                  {/* Caption Timeline */}
+                  {isVideoReady && (
+                    <div className="mt-4">
+                      <Timeline
+                        captions={captions}
+                        duration={duration}
+                        currentTime={currentTime}
+                        isPlaying={isPlaying}
+                        selectedCaptionId={selectedCaption?.id}
+                        timeSettings={timeSettings}
+                        waveform={waveform}
+                        waveformStatus={waveformStatus}
+                        onSeek={seekTo}
+                        onSelectCaption={setSelectedCaption}
+                        onRetimeCaption={retimeCaption}
                       />
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
-                      >
-                        <Upload className="w-4 h-4 mr-2" />
-                        Import
-                      </Button>
                     </div>
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      onClick={resetAll}
-                      className="bg-red-500/20 border-red-500/30 text-red-400 hover:bg-red-500/30"
+                  )}
+
+                  {/* Video Controls */}
+                  {isVideoReady && (
+                    <motion.div
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                      className="mt-4 space-y-4"
                     >
-                      <RotateCcw className="w-4 h-4 mr-2" />
-                      Reset
-                    </Button>
-                  </div>
-                </motion.div>
-              )}
-            </Card>
-          </motion.div>
-
-          {/* Caption Management Panel */}
-          <motion.div
-            initial={{ opacity: 0, x: 20 }}
-            animate={{ opacity: 1, x: 0 }}
-            transition={{ delay: 0.3 }}
-            className="xl:col-span-1 order-2"
-          >
-            <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10 h-fit">
-              <Tabs defaultValue="editor" className="w-full">
-                <TabsList className="grid w-full grid-cols-2 mb-4 lg:mb-6 bg-white/10">
-                  <TabsTrigger
-                    value="editor"
-                    className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
-                  >
-                    Editor
-                  </TabsTrigger>
-                  <TabsTrigger
-                    value="list"
-                    className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
-                  >
-                    Captions ({captions.length})
-                  </TabsTrigger>
-                </TabsList>
-
-                <TabsContent value="editor" className="space-y-4">
-                  <CaptionEditor
-                    onAddCaption={addCaption}
-                    currentTime={currentTime}
-                    duration={duration}
-                    selectedCaption={selectedCaption}
-                    onUpdateCaption={updateCaption}
-                    disabled={!isVideoReady}
-                  />
-                </TabsContent>
+                      {/* Playback Controls */}
+                      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                        <div className="flex items-center gap-4">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setIsPlaying(!isPlaying)}
+                            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+                          >
+                            {isPlaying ? (
+                              <Pause className="w-4 h-4" />
+                            ) : (
+                              <Play className="w-4 h-4" />
+                            )}
+                          </Button>
+                          <div className="text-sm text-slate-400 font-mono">
+                            {formatTimestamp(currentTime, timeSettings)} /{" "}
+                            {formatTimestamp(duration, timeSettings)}
+                          </div>
+                        </div>
+                        <TimeSettingsControl
+                          settings={timeSettings}
+                          onChange={setTimeSettings}
+                        />
+                      </div>
 
-                <TabsContent value="list" className="space-y-4">
-                  <CaptionList
-                    captions={captions}
-                    currentTime={currentTime}
-                    onEdit={setSelectedCaption}
-                    onDelete={deleteCaption}
-                    onSeek={seekToCaption}
+                      {/* Action Buttons */}
+                      <div className="flex flex-wrap gap-2">
+                        <Select
+                          value={exportFormat}
+                          onValueChange={setExportFormat}
+                        >
+                          <SelectTrigger className="h-9 w-40 bg-white/10 border-white/20 text-white text-sm">
+                            <SelectValue placeholder="Export format" />
+                          </SelectTrigger>
+                          <SelectContent className="bg-slate-800 border-slate-700">
+                            {Object.entries(CAPTION_FORMATS).map(
+                              ([key, format]) => (
+                                <SelectItem
+                                  key={key}
+                                  value={key}
+                                  className="text-white focus:bg-slate-700 focus:text-white"
+                                >
+                                  {format.label}
+                                </SelectItem>
+                              )
+                            )}
+                          </SelectContent>
+                        </Select>
+                        {exportFormat === "scc" && (
+                          <Select
+                            value={sccChannel}
+                            onValueChange={setSccChannel}
+                          >
+                            <SelectTrigger
+                              title="CEA-608 channel"
+                              className="h-9 w-20 bg-white/10 border-white/20 text-white text-sm"
+                            >
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent className="bg-slate-800 border-slate-700">
+                              {SCC_CHANNELS.map((channel) => (
+                                <SelectItem
+                                  key={channel.value}
+                                  value={channel.value}
+                                  className="text-white focus:bg-slate-700 focus:text-white"
+                                >
+                                  {channel.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        )}
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={exportCaptions}
+                          disabled={captions.length === 0}
+                          className="bg-green-500/20 border-green-500/30 text-green-400 hover:bg-green-500/30"
+                        >
+                          <Download className="w-4 h-4 mr-2" />
+                          Export
+                        </Button>
+                        <div className="relative">
+                          <input
+                            type="file"
+                            accept={getImportAccept()}
+                            onChange={importCaptions}
+                            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                          />
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
+                          >
+                            <Upload className="w-4 h-4 mr-2" />
+                            Import
+                          </Button>
+                        </div>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() =>
+                            setShowTranscriptImport((prev) => !prev)
+                          }
+                          className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
+                        >
+                          <FileText className="w-4 h-4 mr-2" />
+                          Transcript
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setShowWhisperImport((prev) => !prev)}
+                          className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
+                        >
+                          <Mic className="w-4 h-4 mr-2" />
+                          Whisper
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setShowSpotting((prev) => !prev)}
+                          disabled={Boolean(spotting)}
+                          className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
+                        >
+                          <Crosshair className="w-4 h-4 mr-2" />
+                          Spot
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setShowTranslation((prev) => !prev)}
+                          className="bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30"
+                        >
+                          <Languages className="w-4 h-4 mr-2" />
+                          Translate
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={resetAll}
+                          className="bg-red-500/20 border-red-500/30 text-red-400 hover:bg-red-500/30"
+                        >
+                          <RotateCcw className="w-4 h-4 mr-2" />
+                          Reset
+                        </Button>
+                      </div>
+
+                      {showTranscriptImport && (
+                        <TranscriptImport
+                          duration={duration}
+                          getCurrentTime={getPlayerTime}
+                          timeSettings={timeSettings}
+                          hasCaptions={captions.length > 0}
+                          onImport={importTranscript}
+                          onClose={() => setShowTranscriptImport(false)}
+                        />
+                      )}
+
+                      {showWhisperImport && (
+                        <WhisperImport
+                          hasCaptions={captions.length > 0}
+                          onImport={importWhisper}
+                          onClose={() => setShowWhisperImport(false)}
+                        />
+                      )}
+
+                      {(showSpotting || spotting) && (
+                        <SpottingPanel
+                          active={Boolean(spotting)}
+                          target={captions.find(
+                            (caption) =>
+                              caption.id === spotting?.queue[spotting.position]
+                          )}
+                          next={captions.find(
+                            (caption) =>
+                              caption.id ===
+                              spotting?.queue[spotting.position + 1]
+                          )}
+                          position={spotting?.position}
+                          total={spotting?.queue.length}
+                          pendingStart={pendingSpotStart}
+                          untimedCount={
+                            captions.filter((caption) => caption.untimed).length
+                          }
+                          timeSettings={timeSettings}
+                          onStart={startSpotting}
+                          onStop={stopSpotting}
+                          onClose={() => setShowSpotting(false)}
+                        />
+                      )}
+
+                      {showTranslation && (
+                        <TranslationEditor
+                          tracks={tracks}
+                          activeTrackId={activeTrack.id}
+                          timeSettings={timeSettings}
+                          onCreateTrack={createTranslationTrack}
+                          onUpdateTrack={updateTrack}
+                          onTranslate={translateCaption}
+                          onLoopCue={loopCaption}
+                          onClose={() => setShowTranslation(false)}
+                        />
+                      )}
+                    </motion.div>
+                  )}
+                </Card>
+              </motion.div>
+
+              {/* Caption Management Panel */}
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.3 }}
+                className="xl:col-span-1 order-2"
+              >
+                <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10 h-fit">
+                  <TrackManager
+                    tracks={tracks}
+                    activeTrackId={activeTrack.id}
+                    onSelect={selectTrack}
+                    onAdd={addTrack}
+                    onUpdate={updateTrack}
+                    onDelete={deleteTrack}
+                    onExport={exportTrack}
                   />
-                </TabsContent>
-              </Tabs>
-            </Card>
-          </motion.div>
-        </div>
+                  <Tabs defaultValue="editor" className="w-full">
+                    <TabsList className="grid w-full grid-cols-5 mb-4 lg:mb-6 bg-white/10">
+                      <TabsTrigger
+                        value="editor"
+                        className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+                      >
+                        Editor
+                      </TabsTrigger>
+                      <TabsTrigger
+                        value="list"
+                        className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+                      >
+                        Captions ({captions.length})
+                      </TabsTrigger>
+                      <TabsTrigger
+                        value="sync"
+                        className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+                      >
+                        Sync
+                      </TabsTrigger>
+                      <TabsTrigger
+                        value="qc"
+                        className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+                      >
+                        QC ({qcIssues.length})
+                      </TabsTrigger>
+                      <TabsTrigger
+                        value="history"
+                        className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+                      >
+                        History
+                      </TabsTrigger>
+                    </TabsList>
 
-        {/* Keyboard Shortcuts Help */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.4 }}
-          className="mt-6 lg:mt-8"
-        >
-          <Card className="p-3 lg:p-4 bg-white/5 backdrop-blur-sm border-white/10">
-            <div className="text-center text-xs lg:text-sm text-slate-400">
-              <strong className="text-white">Keyboard Shortcuts:</strong>
-              <div className="flex flex-wrap justify-center gap-2 lg:gap-4 mt-2 lg:mt-0 lg:inline">
-                <span className="flex items-center gap-1">
-                  <span className="hidden lg:inline mx-2">•</span>
-                  <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
-                    Space
-                  </kbd>
-                  <span className="text-xs lg:text-sm">Play/Pause</span>
-                </span>
-                <span className="flex items-center gap-1">
-                  <span className="hidden lg:inline mx-2">•</span>
-                  <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
-                    ←/→
-                  </kbd>
-                  <span className="text-xs lg:text-sm">Seek ±5s</span>
-                </span>
-                <span className="flex items-center gap-1">
-                  <span className="hidden lg:inline mx-2">•</span>
-                  <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
-                    Esc
-                  </kbd>
-                  <span className="text-xs lg:text-sm">Deselect</span>
-                </span>
-              </div>
+                    <TabsContent value="editor" className="space-y-4">
+                      <CaptionEditor
+                        onAddCaption={addCaption}
+                        currentTime={currentTime}
+                        duration={duration}
+                        selectedCaption={selectedCaption}
+                        onUpdateCaption={updateCaption}
+                        onSplitCaption={splitCaptionAt}
+                        getCurrentTime={getPlayerTime}
+                        timeSettings={timeSettings}
+                        stylePresets={activeTrack.stylePresets}
+                        disabled={!isVideoReady}
+                      />
+                    </TabsContent>
+
+                    <TabsContent value="list" className="space-y-4">
+                      <CaptionList
+                        captions={captions}
+                        currentTime={currentTime}
+                        onEdit={setSelectedCaption}
+                        onDelete={deleteCaption}
+                        onSeek={seekToCaption}
+                        onMerge={mergeCaption}
+                        timeSettings={timeSettings}
+                        selectedIds={selectedIds}
+                        onSelectionChange={setSelectedIds}
+                        onDeleteSelected={deleteSelectedCaptions}
+                        onStyleSelected={styleSelectedCaptions}
+                        onShiftSelected={shiftSelectedCaptions}
+                        onExportSelected={exportSelectedCaptions}
+                        onFindNavigate={focusCaption}
+                        onReplaceText={patchCaptions}
+                      />
+                    </TabsContent>
+
+                    <TabsContent value="sync" className="space-y-4">
+                      <SyncPanel
+                        captions={captions}
+                        selectedIds={
+                          selectedIds.length > 0
+                            ? selectedIds
+                            : selectedCaption
+                            ? [selectedCaption.id]
+                            : []
+                        }
+                        duration={duration}
+                        getCurrentTime={getPlayerTime}
+                        timeSettings={timeSettings}
+                        onApply={syncCaptions}
+                        disabled={!isVideoReady || captions.length === 0}
+                      />
+                    </TabsContent>
+
+                    <TabsContent value="qc" className="space-y-4">
+                      <QcPanel
+                        issues={qcIssues}
+                        settings={qcSettings}
+                        onSettingsChange={changeQcSettings}
+                        selectedCaptionId={selectedCaption?.id}
+                        onSelectIssue={focusCaption}
+                        onFix={fixQcIssues}
+                        timeSettings={timeSettings}
+                      />
+                    </TabsContent>
+
+                    <TabsContent value="history" className="space-y-4">
+                      <HistoryPanel
+                        past={historyPast}
+                        future={historyFuture}
+                        onUndo={undo}
+                        onRedo={redo}
+                        onTravel={travel}
+                      />
+                    </TabsContent>
+                  </Tabs>
+                </Card>
+              </motion.div>
             </div>
-          </Card>
-        </motion.div>
+
+            {/* Keyboard Shortcuts Help */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.4 }}
+              className="mt-6 lg:mt-8"
+            >
+              <Card className="p-3 lg:p-4 bg-white/5 backdrop-blur-sm border-white/10">
+                <div className="text-center text-xs lg:text-sm text-slate-400">
+                  <strong className="text-white">Keyboard Shortcuts:</strong>
+                  <div className="flex flex-wrap justify-center gap-2 lg:gap-4 mt-2 lg:mt-0 lg:inline">
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Space
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Play/Pause</span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        ←/→
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Seek ±5s</span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        ,/.
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Step frame</span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Ctrl+Z
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Undo</span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Ctrl+Shift+Z
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Redo</span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Alt+S
+                      </kbd>
+                      <span className="text-xs lg:text-sm">
+                        Split at playhead (+Shift: at cursor)
+                      </span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Alt+M
+                      </kbd>
+                      <span className="text-xs lg:text-sm">
+                        Merge with next (+Shift: previous)
+                      </span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        T
+                      </kbd>
+                      <span className="text-xs lg:text-sm">
+                        Spot in/out (spotting mode)
+                      </span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <span className="hidden lg:inline mx-2">•</span>
+                      <kbd className="px-2 py-1 bg-white/10 rounded text-xs">
+                        Esc
+                      </kbd>
+                      <span className="text-xs lg:text-sm">Deselect</span>
+                    </span>
+                  </div>
+                </div>
+              </Card>
+            </motion.div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,232 @@
+"use client";
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import { Palette, Clock, Download, Trash2, X, Check } from "lucide-react";
+import {
+  DEFAULT_TIME_SETTINGS,
+  formatTimestamp,
+  parseSignedTimestamp,
+} from "../utils/timeUtils";
+import {
+  DEFAULT_CAPTION_STYLE,
+  FONT_SIZE_OPTIONS,
+  FONT_WEIGHT_OPTIONS,
+  POSITION_OPTIONS,
+} from "../utils/captionStyles";
+import { toast } from "sonner";
+
+// Select value meaning "leave this property as each caption has it"
+const KEEP = "keep";
+
+const styleFields = [
+  { property: "fontSize", label: "Font Size", options: FONT_SIZE_OPTIONS },
+  {
+    property: "fontWeight",
+    label: "Font Weight",
+    options: FONT_WEIGHT_OPTIONS,
+  },
+  { property: "position", label: "Position", options: POSITION_OPTIONS },
+];
+
+const toolButtonClass =
+  "bg-white/10 border-white/20 text-white hover:bg-white/20 h-8";
+
+const BulkActions = ({
+  count,
+  timeSettings = DEFAULT_TIME_SETTINGS,
+  onApplyStyle,
+  onShift,
+  onExport,
+  onDelete,
+  onClear,
+}) => {
+  const [openTool, setOpenTool] = useState(null); // 'style' | 'shift' | null
+  const [style, setStyle] = useState({
+    fontSize: KEEP,
+    fontWeight: KEEP,
+    position: KEEP,
+  });
+  const [applyColor, setApplyColor] = useState(false);
+  const [color, setColor] = useState(DEFAULT_CAPTION_STYLE.color);
+  const [offset, setOffset] = useState("");
+
+  const toggleTool = (tool) => {
+    setOpenTool((prev) => (prev === tool ? null : tool));
+  };
+
+  const applyStyle = () => {
+    const changes = Object.fromEntries(
+      Object.entries(style).filter(([, value]) => value !== KEEP)
+    );
+    if (applyColor) {
+      changes.color = color;
+    }
+    if (Object.keys(changes).length === 0) {
+      toast.error("Choose at least one style to apply");
+      return;
+    }
+    onApplyStyle(changes);
+  };
+
+  const applyShift = () => {
+    const seconds = parseSignedTimestamp(offset, timeSettings);
+    if (isNaN(seconds) || seconds === 0) {
+      toast.error("Enter a non-zero offset");
+      return;
+    }
+    onShift(seconds);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-3 p-3 rounded-lg bg-blue-500/20 border border-blue-500/30"
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-blue-200 mr-auto">{count} selected</span>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => toggleTool("style")}
+          title="Restyle selected"
+          className={toolButtonClass}
+        >
+          <Palette className="w-3 h-3" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => toggleTool("shift")}
+          title="Shift selected"
+          className={toolButtonClass}
+        >
+          <Clock className="w-3 h-3" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onExport}
+          title="Export selected"
+          className={toolButtonClass}
+        >
+          <Download className="w-3 h-3" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onDelete}
+          title="Delete selected"
+          className="bg-white/10 border-white/20 text-red-400 hover:bg-red-500/20 h-8"
+        >
+          <Trash2 className="w-3 h-3" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClear}
+          title="Clear selection"
+          className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {openTool === "style" && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            {styleFields.map(({ property, label, options }) => (
+              <div key={property} className="space-y-1">
+                <Label className="text-xs text-slate-300">{label}</Label>
+                <Select
+                  value={style[property]}
+                  onValueChange={(value) =>
+                    setStyle((prev) => ({ ...prev, [property]: value }))
+                  }
+                >
+                  <SelectTrigger className="h-8 bg-white/10 border-white/20 text-white text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {[{ value: KEEP, label: "Keep" }, ...options].map(
+                      (option) => (
+                        <SelectItem
+                          key={option.value}
+                          value={option.value}
+                          className="text-white focus:bg-slate-700 focus:text-white"
+                        >
+                          {option.label}
+                        </SelectItem>
+                      )
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              id="bulkColor"
+              type="checkbox"
+              checked={applyColor}
+              onChange={(e) => setApplyColor(e.target.checked)}
+              className="accent-blue-500"
+            />
+            <label htmlFor="bulkColor" className="text-xs text-slate-300">
+              Text color
+            </label>
+            <Input
+              type="color"
+              value={color}
+              onChange={(e) => {
+                setColor(e.target.value);
+                setApplyColor(true);
+              }}
+              className="w-10 h-8 p-1 bg-white/10 border-white/20 cursor-pointer"
+            />
+            <Button
+              size="sm"
+              onClick={applyStyle}
+              className="ml-auto h-8 bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <Check className="w-3 h-3 mr-1" />
+              Apply style
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {openTool === "shift" && (
+        <div className="flex gap-2">
+          <Input
+            value={offset}
+            onChange={(e) => setOffset(e.target.value)}
+            placeholder={`Offset, e.g. -${formatTimestamp(0.5, timeSettings)}`}
+            className="h-8 bg-white/10 border-white/20 text-white placeholder:text-slate-400"
+          />
+          <Button
+            size="sm"
+            onClick={applyShift}
+            className="h-8 bg-blue-600 hover:bg-blue-700 text-white shrink-0"
+          >
+            <Check className="w-3 h-3 mr-1" />
+            Shift
+          </Button>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default BulkActions;
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { motion } from "framer-motion";
 import { Button } from "../components/ui/button";
 import { Input } from "../components/ui/input";
@@ -8,6 +8,7 @@ import { Textarea } from "../components/ui/textarea";
 import { Label } from "../components/ui/label";
 import { Card } from "../components/ui/card";
 import { Badge } from "../components/ui/badge";
+import { Slider } from "../components/ui/slider";
 import {
   Select,
   SelectContent,
@@ -21,65 +22,130 @@ import {
   TabsList,
   TabsTrigger,
 } from "../components/ui/tabs";
-import { Plus, Edit3, Clock, Type, Palette, Save, X } from "lucide-react";
-import { formatTime, parseTime, validateTimestamp } from "../utils/timeUtils";
+import {
+  Plus,
+  Edit3,
+  Clock,
+  Type,
+  Palette,
+  Save,
+  X,
+  Scissors,
+  Italic,
+  Underline,
+  AlignLeft,
+  AlignCenter,
+  AlignRight,
+} from "lucide-react";
+import {
+  DEFAULT_TIME_SETTINGS,
+  formatTimestamp,
+  parseTimestamp,
+  validateTimestamp,
+} from "../utils/timeUtils";
+import {
+  DEFAULT_CAPTION_STYLE,
+  FONT_SIZE_OPTIONS,
+  FONT_WEIGHT_OPTIONS,
+  POSITION_OPTIONS,
+  CUSTOM_POSITION,
+  CUSTOM_POSITION_OPTION,
+  DEFAULT_CUSTOM_PLACEMENT,
+  FONT_FAMILY_OPTIONS,
+  TEXT_ALIGN_OPTIONS,
+  HIGHLIGHT_ANIMATION_OPTIONS,
+  getCaptionCss,
+} from "../utils/captionStyles";
+import { spreadWords, wordsMatchText } from "../utils/wordTimingUtils";
 import { toast } from "sonner";
 
+const ALIGN_ICONS = { left: AlignLeft, center: AlignCenter, right: AlignRight };
+
+const toggleClass = (active) =>
+  `h-8 w-8 p-0 ${
+    active ? "bg-blue-500/30 text-white" : "text-slate-400 hover:bg-white/10"
+  }`;
+
+// Colour plus a px amount, for the outline and shadow effects
+const EffectField = ({
+  label,
+  colorProperty,
+  amountProperty,
+  style,
+  onChange,
+  disabled,
+}) => (
+  <div className="space-y-2">
+    <Label className="text-slate-300">{label}</Label>
+    <div className="flex items-center gap-2">
+      <Input
+        type="color"
+        value={style[colorProperty]}
+        onChange={(e) => onChange(colorProperty, e.target.value)}
+        disabled={disabled}
+        className="w-12 h-10 bg-white/10 border-white/20 cursor-pointer"
+      />
+      <Input
+        type="number"
+        min={0}
+        max={10}
+        step={0.5}
+        value={style[amountProperty]}
+        onChange={(e) =>
+          onChange(
+            amountProperty,
+            Math.min(10, Math.max(0, Number(e.target.value)))
+          )
+        }
+        disabled={disabled}
+        className="bg-white/10 border-white/20 text-white"
+      />
+      <span className="text-xs text-slate-400">px</span>
+    </div>
+  </div>
+);
+
 const CaptionEditor = ({
   onAddCaption,
   currentTime,
   duration,
   selectedCaption,
   onUpdateCaption,
+  onSplitCaption,
+  getCurrentTime,
+  timeSettings = DEFAULT_TIME_SETTINGS,
+  stylePresets = {},
   disabled,
 }) => {
   const [captionData, setCaptionData] = useState({
     startTime: "",
     endTime: "",
     text: "",
-    style: {
-      fontSize: "16px",
-      color: "#ffffff",
-      fontWeight: "normal",
-      position: "bottom",
-    },
+    style: { ...DEFAULT_CAPTION_STYLE },
+    words: [],
   });
   const [errors, setErrors] = useState({});
   const [isEditing, setIsEditing] = useState(false);
-
-  // Font size options
-  const fontSizeOptions = [
-    { value: "12px", label: "Small (12px)" },
-    { value: "16px", label: "Medium (16px)" },
-    { value: "20px", label: "Large (20px)" },
-    { value: "24px", label: "Extra Large (24px)" },
-    { value: "28px", label: "Huge (28px)" },
-  ];
-
-  // Font weight options
-  const fontWeightOptions = [
-    { value: "normal", label: "Normal" },
-    { value: "500", label: "Medium" },
-    { value: "600", label: "Semi Bold" },
-    { value: "bold", label: "Bold" },
-  ];
-
-  // Position options
-  const positionOptions = [
-    { value: "top", label: "Top" },
-    { value: "center", label: "Center" },
-    { value: "bottom", label: "Bottom" },
-  ];
+  // Untouched word timings are left to follow timing edits on their own
+  const [wordsEdited, setWordsEdited] = useState(false);
+  const textRef = useRef(null);
 
   // Sync with selected caption
   useEffect(() => {
     if (selectedCaption) {
       setCaptionData({
-        startTime: formatTime(selectedCaption.startTime),
-        endTime: formatTime(selectedCaption.endTime),
+        startTime: formatTimestamp(selectedCaption.startTime, timeSettings),
+        endTime: formatTimestamp(selectedCaption.endTime, timeSettings),
         text: selectedCaption.text,
-        style: { ...selectedCaption.style },
+        // Captions saved before a style property existed get its default
+        style: { ...DEFAULT_CAPTION_STYLE, ...selectedCaption.style },
+        words: (selectedCaption.words || []).map((word) => ({
+          text: word.text,
+          startTime: formatTimestamp(word.startTime, timeSettings),
+          endTime: formatTimestamp(word.endTime, timeSettings),
+        })),
       });
+      setWordsEdited(false);
       setIsEditing(true);
     } else {
       resetForm();
@@ -87,21 +153,50 @@ const CaptionEditor = ({
     }
   }, [selectedCaption]);
 
+  // Re-express typed times when the display mode or frame rate changes
+  const previousSettings = useRef(timeSettings);
+  useEffect(() => {
+    if (previousSettings.current === timeSettings) return;
+    const reformat = (value) => {
+      if (!value) return value;
+      const seconds = parseTimestamp(value, previousSettings.current);
+      return isNaN(seconds) ? value : formatTimestamp(seconds, timeSettings);
+    };
+    setCaptionData((prev) => ({
+      ...prev,
+      startTime: reformat(prev.startTime),
+      endTime: reformat(prev.endTime),
+      words: prev.words.map((word) => ({
+        ...word,
+        startTime: reformat(word.startTime),
+        endTime: reformat(word.endTime),
+      })),
+    }));
+    previousSettings.current = timeSettings;
+  }, [timeSettings]);
+
   const resetForm = () => {
     setCaptionData({
-      startTime: formatTime(currentTime),
-      endTime: formatTime(Math.min(currentTime + 3, duration)),
+      startTime: formatTimestamp(currentTime, timeSettings),
+      endTime: formatTimestamp(
+        Math.min(currentTime + 3, duration),
+        timeSettings
+      ),
       text: "",
-      style: {
-        fontSize: "16px",
-        color: "#ffffff",
-        fontWeight: "normal",
-        position: "bottom",
-      },
+      style: { ...DEFAULT_CAPTION_STYLE },
+      words: [],
     });
+    setWordsEdited(false);
     setErrors({});
   };
 
+  const parseWords = () =>
+    captionData.words.map((word) => ({
+      text: word.text,
+      startTime: parseTimestamp(word.startTime, timeSettings),
+      endTime: parseTimestamp(word.endTime, timeSettings),
+    }));
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -111,8 +206,8 @@ const CaptionEditor = ({
     }
 
     // Validate timestamps
-    const startTime = parseTime(captionData.startTime);
-    const endTime = parseTime(captionData.endTime);
+    const startTime = parseTimestamp(captionData.startTime, timeSettings);
+    const endTime = parseTimestamp(captionData.endTime, timeSettings);
 
     if (isNaN(startTime)) {
       newErrors.startTime = "Invalid start time format";
@@ -135,6 +230,24 @@ const CaptionEditor = ({
       }
     }
 
+    // Edited words must run in order inside the caption
+    if (wordsEdited && !newErrors.startTime && !newErrors.endTime) {
+      const words = parseWords();
+      const invalid = words.some(
+        (word, index) =>
+          isNaN(word.startTime) ||
+          isNaN(word.endTime) ||
+          word.endTime < word.startTime ||
+          word.startTime < startTime - 0.0005 ||
+          word.endTime > endTime + 0.0005 ||
+          (index > 0 && word.startTime < words[index - 1].startTime)
+      );
+      if (invalid) {
+        newErrors.words =
+          "Word times must be valid, in order and inside the caption";
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -147,16 +260,23 @@ const CaptionEditor = ({
       return;
     }
 
+    const startTime = parseTimestamp(captionData.startTime, timeSettings);
+    const endTime = parseTimestamp(captionData.endTime, timeSettings);
+    const { words, ...fields } = captionData;
+    const editedWords = wordsEdited &&
+      words.length > 0 && { words: parseWords() };
+
     if (isEditing && selectedCaption) {
       onUpdateCaption(selectedCaption.id, {
-        startTime: parseTime(captionData.startTime),
-        endTime: parseTime(captionData.endTime),
+        startTime,
+        endTime,
         text: captionData.text.trim(),
         style: captionData.style,
+        ...editedWords,
       });
       setIsEditing(false);
     } else {
-      onAddCaption(captionData);
+      onAddCaption({ ...fields, startTime, endTime, ...editedWords });
     }
 
     resetForm();
@@ -167,10 +287,65 @@ const CaptionEditor = ({
     setIsEditing(false);
   };
 
-  const useCurrentTime = (field) => {
+  // Read the player directly: currentTime only updates on progress ticks
+  const applyCurrentTime = (field) => {
+    const time = getCurrentTime ? getCurrentTime() : currentTime;
+    setCaptionData((prev) => ({
+      ...prev,
+      [field]: formatTimestamp(time, timeSettings),
+    }));
+  };
+
+  const updateWord = (index, field, value) => {
+    setCaptionData((prev) => ({
+      ...prev,
+      words: prev.words.map((word, i) =>
+        i === index ? { ...word, [field]: value } : word
+      ),
+    }));
+    setWordsEdited(true);
+  };
+
+  // Rough timings to start from: each word gets a share of the caption
+  // proportional to its length
+  const handleSpreadWords = () => {
+    const startTime = parseTimestamp(captionData.startTime, timeSettings);
+    const endTime = parseTimestamp(captionData.endTime, timeSettings);
+    if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+      toast.error("Set valid start and end times first");
+      return;
+    }
+
+    setCaptionData((prev) => ({
+      ...prev,
+      words: spreadWords(prev.text, startTime, endTime).map((word) => ({
+        text: word.text,
+        startTime: formatTimestamp(word.startTime, timeSettings),
+        endTime: formatTimestamp(word.endTime, timeSettings),
+      })),
+    }));
+    setWordsEdited(true);
+  };
+
+  const wordsMatch = wordsMatchText(captionData.words, captionData.text);
+
+  // Splits use the text as typed, divided at the cursor in the text box
+  const handleSplit = (atPlayhead) => {
+    const edit = {
+      cursor: textRef.current?.selectionStart,
+      text: captionData.text,
+    };
+    if (atPlayhead) {
+      edit.time = getCurrentTime ? getCurrentTime() : currentTime;
+    }
+    onSplitCaption(selectedCaption.id, edit);
+  };
+
+  // A preset replaces the whole style, as its ASS style line would
+  const applyPreset = (name) => {
     setCaptionData((prev) => ({
       ...prev,
-      [field]: formatTime(currentTime),
+      style: { ...DEFAULT_CAPTION_STYLE, ...stylePresets[name], preset: name },
     }));
   };
 
@@ -178,6 +353,10 @@ const CaptionEditor = ({
     setCaptionData((prev) => ({
       ...prev,
       style: {
+        // Switching to custom starts from the last placement, if any
+        ...(property === "position" && value === CUSTOM_POSITION
+          ? DEFAULT_CUSTOM_PLACEMENT
+          : {}),
         ...prev.style,
         [property]: value,
       },
@@ -240,7 +419,7 @@ const CaptionEditor = ({
                       startTime: e.target.value,
                     }))
                   }
-                  placeholder="00:00:00"
+                  placeholder={formatTimestamp(0, timeSettings)}
                   disabled={disabled}
                   className={`bg-white/10 border-white/20 text-white placeholder:text-slate-400 ${
                     errors.startTime ? "border-red-500" : ""
@@ -250,7 +429,7 @@ const CaptionEditor = ({
                   type="button"
                   variant="outline"
                   size="sm"
-                  onClick={() => useCurrentTime("startTime")}
+                  onClick={() => applyCurrentTime("startTime")}
                   disabled={disabled}
                   className="bg-white/10 border-white/20 text-white hover:bg-white/20 shrink-0"
                 >
@@ -276,7 +455,7 @@ const CaptionEditor = ({
                       endTime: e.target.value,
                     }))
                   }
-                  placeholder="00:00:03"
+                  placeholder={formatTimestamp(3, timeSettings)}
                   disabled={disabled}
                   className={`bg-white/10 border-white/20 text-white placeholder:text-slate-400 ${
                     errors.endTime ? "border-red-500" : ""
@@ -286,7 +465,7 @@ const CaptionEditor = ({
                   type="button"
                   variant="outline"
                   size="sm"
-                  onClick={() => useCurrentTime("endTime")}
+                  onClick={() => applyCurrentTime("endTime")}
                   disabled={disabled}
                   className="bg-white/10 border-white/20 text-white hover:bg-white/20 shrink-0"
                 >
@@ -311,6 +490,7 @@ const CaptionEditor = ({
           </Label>
           <Textarea
             id="captionText"
+            ref={textRef}
             value={captionData.text}
             onChange={(e) =>
               setCaptionData((prev) => ({ ...prev, text: e.target.value }))
@@ -323,14 +503,44 @@ const CaptionEditor = ({
             }`}
           />
           {errors.text && <p className="text-red-400 text-xs">{errors.text}</p>}
-          <div className="text-xs text-slate-400">
-            {captionData.text.length} characters
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="text-xs text-slate-400">
+              {captionData.text.length} characters
+            </div>
+            {isEditing && onSplitCaption && (
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleSplit(true)}
+                  disabled={disabled}
+                  title="Split at playhead (Alt+S)"
+                  className="h-8 bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                  <Scissors className="w-3 h-3 mr-1" />
+                  At playhead
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleSplit(false)}
+                  disabled={disabled}
+                  title="Split at text cursor (Alt+Shift+S)"
+                  className="h-8 bg-white/10 border-white/20 text-white hover:bg-white/20"
+                >
+                  <Scissors className="w-3 h-3 mr-1" />
+                  At cursor
+                </Button>
+              </div>
+            )}
           </div>
         </div>
 
         {/* Style Options */}
         <Tabs defaultValue="basic" className="w-full">
-          <TabsList className="grid w-full grid-cols-2 bg-white/10">
+          <TabsList className="grid w-full grid-cols-3 bg-white/10">
             <TabsTrigger
               value="basic"
               className="data-[state=active]:bg-blue-500/30"
@@ -343,6 +553,12 @@ const CaptionEditor = ({
             >
               Style
             </TabsTrigger>
+            <TabsTrigger
+              value="words"
+              className="data-[state=active]:bg-blue-500/30"
+            >
+              Words
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="basic" className="mt-4 space-y-4">
@@ -360,7 +576,7 @@ const CaptionEditor = ({
                     <SelectValue placeholder="Select font size" />
                   </SelectTrigger>
                   <SelectContent className="bg-slate-800 border-slate-700">
-                    {fontSizeOptions.map((option) => (
+                    {FONT_SIZE_OPTIONS.map((option) => (
                       <SelectItem
                         key={option.value}
                         value={option.value}
@@ -386,7 +602,7 @@ const CaptionEditor = ({
                     <SelectValue placeholder="Select font weight" />
                   </SelectTrigger>
                   <SelectContent className="bg-slate-800 border-slate-700">
-                    {fontWeightOptions.map((option) => (
+                    {FONT_WEIGHT_OPTIONS.map((option) => (
                       <SelectItem
                         key={option.value}
                         value={option.value}
@@ -399,9 +615,150 @@ const CaptionEditor = ({
                 </Select>
               </div>
             </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Font Family</Label>
+                <Select
+                  value={captionData.style.fontFamily}
+                  onValueChange={(value) =>
+                    handleStyleChange("fontFamily", value)
+                  }
+                  disabled={disabled}
+                >
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Select font" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {FONT_FAMILY_OPTIONS.map((option) => (
+                      <SelectItem
+                        key={option.value}
+                        value={option.value}
+                        style={{ fontFamily: option.value }}
+                        className="text-white focus:bg-slate-700 focus:text-white"
+                      >
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label className="text-slate-300">Line Height</Label>
+                <Input
+                  type="number"
+                  min={0.8}
+                  max={3}
+                  step={0.1}
+                  value={captionData.style.lineHeight}
+                  onChange={(e) =>
+                    handleStyleChange(
+                      "lineHeight",
+                      Math.min(3, Math.max(0.8, Number(e.target.value)))
+                    )
+                  }
+                  disabled={disabled}
+                  className="bg-white/10 border-white/20 text-white"
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() =>
+                  handleStyleChange(
+                    "fontStyle",
+                    captionData.style.fontStyle === "italic"
+                      ? "normal"
+                      : "italic"
+                  )
+                }
+                disabled={disabled}
+                title="Italic"
+                className={toggleClass(
+                  captionData.style.fontStyle === "italic"
+                )}
+              >
+                <Italic className="w-4 h-4" />
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() =>
+                  handleStyleChange(
+                    "textDecoration",
+                    captionData.style.textDecoration === "underline"
+                      ? "none"
+                      : "underline"
+                  )
+                }
+                disabled={disabled}
+                title="Underline"
+                className={toggleClass(
+                  captionData.style.textDecoration === "underline"
+                )}
+              >
+                <Underline className="w-4 h-4" />
+              </Button>
+              <div className="w-px h-6 bg-white/20 mx-1" />
+              {TEXT_ALIGN_OPTIONS.map((option) => {
+                const Icon = ALIGN_ICONS[option.value];
+                return (
+                  <Button
+                    key={option.value}
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleStyleChange("textAlign", option.value)}
+                    disabled={disabled}
+                    title={`Align ${option.label.toLowerCase()}`}
+                    className={toggleClass(
+                      captionData.style.textAlign === option.value
+                    )}
+                  >
+                    <Icon className="w-4 h-4" />
+                  </Button>
+                );
+              })}
+            </div>
           </TabsContent>
 
           <TabsContent value="advanced" className="mt-4 space-y-4">
+            {Object.keys(stylePresets).length > 0 && (
+              <div className="space-y-2">
+                <Label className="text-slate-300">Preset</Label>
+                <Select
+                  value={
+                    stylePresets[captionData.style.preset]
+                      ? captionData.style.preset
+                      : ""
+                  }
+                  onValueChange={applyPreset}
+                  disabled={disabled}
+                >
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Select preset" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {Object.keys(stylePresets).map((name) => (
+                      <SelectItem
+                        key={name}
+                        value={name}
+                        className="text-white focus:bg-slate-700 focus:text-white"
+                      >
+                        {name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               <div className="space-y-2">
                 <Label className="text-slate-300 flex items-center gap-2">
@@ -438,7 +795,134 @@ const CaptionEditor = ({
                     <SelectValue placeholder="Select position" />
                   </SelectTrigger>
                   <SelectContent className="bg-slate-800 border-slate-700">
-                    {positionOptions.map((option) => (
+                    {[...POSITION_OPTIONS, CUSTOM_POSITION_OPTION].map(
+                      (option) => (
+                        <SelectItem
+                          key={option.value}
+                          value={option.value}
+                          className="text-white focus:bg-slate-700 focus:text-white"
+                        >
+                          {option.label}
+                        </SelectItem>
+                      )
+                    )}
+                  </SelectContent>
+                </Select>
+                {captionData.style.position === CUSTOM_POSITION && (
+                  <div className="grid grid-cols-2 gap-2">
+                    {["x", "y"].map((axis) => (
+                      <div key={axis} className="flex items-center gap-1">
+                        <Label className="text-xs text-slate-400 uppercase">
+                          {axis}
+                        </Label>
+                        <Input
+                          type="number"
+                          min={0}
+                          max={100}
+                          step={0.1}
+                          value={captionData.style[axis]}
+                          onChange={(e) =>
+                            handleStyleChange(
+                              axis,
+                              Math.min(100, Math.max(0, Number(e.target.value)))
+                            )
+                          }
+                          disabled={disabled}
+                          className="h-8 bg-white/10 border-white/20 text-white"
+                        />
+                        <span className="text-xs text-slate-400">%</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label className="text-slate-300">Background</Label>
+                <label className="flex items-center gap-2 text-xs text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={captionData.style.backgroundOpacity === 0}
+                    onChange={(e) =>
+                      handleStyleChange(
+                        "backgroundOpacity",
+                        e.target.checked
+                          ? 0
+                          : DEFAULT_CAPTION_STYLE.backgroundOpacity
+                      )
+                    }
+                    disabled={disabled}
+                    className="accent-blue-500"
+                  />
+                  None
+                </label>
+              </div>
+              <div className="flex items-center gap-3">
+                <Input
+                  type="color"
+                  value={captionData.style.backgroundColor}
+                  onChange={(e) =>
+                    handleStyleChange("backgroundColor", e.target.value)
+                  }
+                  disabled={disabled}
+                  className="w-12 h-10 bg-white/10 border-white/20 cursor-pointer shrink-0"
+                />
+                <Slider
+                  value={[
+                    Math.round(captionData.style.backgroundOpacity * 100),
+                  ]}
+                  onValueChange={([value]) =>
+                    handleStyleChange("backgroundOpacity", value / 100)
+                  }
+                  max={100}
+                  step={5}
+                  disabled={disabled}
+                  className="cursor-pointer"
+                />
+                <span className="text-xs text-slate-400 w-10 text-right">
+                  {Math.round(captionData.style.backgroundOpacity * 100)}%
+                </span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <EffectField
+                label="Outline"
+                colorProperty="outlineColor"
+                amountProperty="outlineWidth"
+                style={captionData.style}
+                onChange={handleStyleChange}
+                disabled={disabled}
+              />
+              <EffectField
+                label="Shadow"
+                colorProperty="shadowColor"
+                amountProperty="shadowOffset"
+                style={captionData.style}
+                onChange={handleStyleChange}
+                disabled={disabled}
+              />
+            </div>
+          </TabsContent>
+
+          <TabsContent value="words" className="mt-4 space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label className="text-slate-300">Highlight</Label>
+                <Select
+                  value={captionData.style.highlightAnimation}
+                  onValueChange={(value) =>
+                    handleStyleChange("highlightAnimation", value)
+                  }
+                  disabled={disabled}
+                >
+                  <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                    <SelectValue placeholder="Select highlight" />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {HIGHLIGHT_ANIMATION_OPTIONS.map((option) => (
                       <SelectItem
                         key={option.value}
                         value={option.value}
@@ -450,7 +934,107 @@ const CaptionEditor = ({
                   </SelectContent>
                 </Select>
               </div>
+
+              <div className="space-y-2">
+                <Label className="text-slate-300">Highlight Color</Label>
+                <div className="flex items-center gap-3">
+                  <Input
+                    type="color"
+                    value={captionData.style.highlightColor}
+                    onChange={(e) =>
+                      handleStyleChange("highlightColor", e.target.value)
+                    }
+                    disabled={
+                      disabled ||
+                      captionData.style.highlightAnimation === "none"
+                    }
+                    className="w-12 h-10 bg-white/10 border-white/20 cursor-pointer"
+                  />
+                  <span className="text-sm text-slate-400">
+                    {captionData.style.highlightColor}
+                  </span>
+                </div>
+              </div>
             </div>
+
+            {captionData.words.length > 0 ? (
+              <div className="space-y-2">
+                <div className="grid grid-cols-[1fr_7rem_7rem] gap-2 text-xs text-slate-400">
+                  <span>Word (click to start it at the playhead)</span>
+                  <span>Start</span>
+                  <span>End</span>
+                </div>
+                <div className="max-h-64 overflow-y-auto space-y-2 pr-1">
+                  {captionData.words.map((word, index) => (
+                    <div
+                      key={index}
+                      className="grid grid-cols-[1fr_7rem_7rem] gap-2 items-center"
+                    >
+                      <button
+                        type="button"
+                        onClick={() =>
+                          updateWord(
+                            index,
+                            "startTime",
+                            formatTimestamp(
+                              getCurrentTime ? getCurrentTime() : currentTime,
+                              timeSettings
+                            )
+                          )
+                        }
+                        disabled={disabled}
+                        title="Start this word at the playhead"
+                        className="text-left text-sm text-white truncate hover:text-blue-300"
+                      >
+                        {word.text}
+                      </button>
+                      <Input
+                        value={word.startTime}
+                        onChange={(e) =>
+                          updateWord(index, "startTime", e.target.value)
+                        }
+                        disabled={disabled}
+                        className="h-8 text-xs bg-white/10 border-white/20 text-white"
+                      />
+                      <Input
+                        value={word.endTime}
+                        onChange={(e) =>
+                          updateWord(index, "endTime", e.target.value)
+                        }
+                        disabled={disabled}
+                        className="h-8 text-xs bg-white/10 border-white/20 text-white"
+                      />
+                    </div>
+                  ))}
+                </div>
+                {!wordsMatch && (
+                  <p className="text-yellow-400 text-xs">
+                    The text no longer matches these words, so their timings are
+                    dropped on save. Spread them again to keep timings.
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-xs text-slate-400">
+                No word timings. Import a Whisper transcript, or spread the
+                words over the caption and adjust them here.
+              </p>
+            )}
+            {errors.words && (
+              <p className="text-red-400 text-xs">{errors.words}</p>
+            )}
+
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={handleSpreadWords}
+              disabled={disabled || !captionData.text.trim()}
+              className="h-8 bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              <Clock className="w-3 h-3 mr-1" />
+              Spread words evenly
+            </Button>
           </TabsContent>
         </Tabs>
 
@@ -460,12 +1044,8 @@ const CaptionEditor = ({
             <Label className="text-slate-300">Preview</Label>
             <div className="bg-black/50 p-4 rounded-lg text-center">
               <div
-                style={{
-                  fontSize: captionData.style.fontSize,
-                  color: captionData.style.color,
-                  fontWeight: captionData.style.fontWeight,
-                }}
-                className="break-words"
+                style={getCaptionCss(captionData.style)}
+                className="inline-block max-w-full px-4 py-2 rounded-lg break-words whitespace-pre-line"
               >
                 {captionData.text}
               </div>
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { Button } from "../components/ui/button";
 import { Card } from "../components/ui/card";
@@ -15,13 +15,41 @@ import {
   Search,
   SortAsc,
   SortDesc,
+  ArrowUpToLine,
+  ArrowDownToLine,
+  TextSearch,
 } from "lucide-react";
 import { Input } from "../components/ui/input";
-import { formatTime } from "../utils/timeUtils";
+import BulkActions from "../components/BulkActions";
+import FindReplacePanel from "../components/FindReplacePanel";
+import { formatTimestamp } from "../utils/timeUtils";
+import {
+  TRANSLATION_STATUSES,
+  getTranslationStatus,
+} from "../utils/translationUtils";
 
-const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
+const CaptionList = ({
+  captions,
+  currentTime,
+  onEdit,
+  onDelete,
+  onSeek,
+  onMerge,
+  timeSettings,
+  selectedIds = [],
+  onSelectionChange,
+  onDeleteSelected,
+  onStyleSelected,
+  onShiftSelected,
+  onExportSelected,
+  onFindNavigate,
+  onReplaceText,
+}) => {
   const [searchTerm, setSearchTerm] = useState("");
   const [sortOrder, setSortOrder] = useState("asc"); // 'asc' or 'desc'
+  const [showFindReplace, setShowFindReplace] = useState(false);
+  // Last checkbox clicked, where a shift-click range starts
+  const anchorIdRef = useRef(null);
 
   // Filter and sort captions
   const filteredAndSortedCaptions = captions
@@ -33,6 +61,40 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
       return (a.startTime - b.startTime) * order;
     });
 
+  const visibleIds = filteredAndSortedCaptions.map((caption) => caption.id);
+  const allVisibleSelected =
+    visibleIds.length > 0 && visibleIds.every((id) => selectedIds.includes(id));
+
+  // Shift-click sets every caption between the anchor and this one, as shown
+  const toggleSelected = (id, shiftKey) => {
+    const checked = !selectedIds.includes(id);
+    const anchorIndex = visibleIds.indexOf(anchorIdRef.current);
+    const index = visibleIds.indexOf(id);
+    const range =
+      shiftKey && anchorIndex !== -1
+        ? visibleIds.slice(
+            Math.min(anchorIndex, index),
+            Math.max(anchorIndex, index) + 1
+          )
+        : [id];
+
+    const rest = selectedIds.filter(
+      (selectedId) => !range.includes(selectedId)
+    );
+    onSelectionChange(checked ? [...rest, ...range] : rest);
+    anchorIdRef.current = id;
+  };
+
+  const toggleAllVisible = () => {
+    const rest = selectedIds.filter((id) => !visibleIds.includes(id));
+    onSelectionChange(allVisibleSelected ? rest : [...rest, ...visibleIds]);
+  };
+
+  // Merge targets follow time order, whatever the list's sort or filter
+  const timeOrder = [...captions]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((caption) => caption.id);
+
   const isCurrentCaption = (caption) => {
     return currentTime >= caption.startTime && currentTime <= caption.endTime;
   };
@@ -80,21 +142,45 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
       <div className="space-y-4">
         {/* Header */}
         <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
-          <h3 className="text-lg font-semibold text-white">
+          <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+            {onSelectionChange && (
+              <input
+                type="checkbox"
+                checked={allVisibleSelected}
+                onChange={toggleAllVisible}
+                title="Select all shown"
+                className="accent-blue-500 w-4 h-4"
+              />
+            )}
             Captions ({filteredAndSortedCaptions.length})
           </h3>
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
-            className="bg-white/10 border-white/20 text-white hover:bg-white/20 self-start sm:self-auto"
-          >
-            {sortOrder === "asc" ? (
-              <SortAsc className="w-4 h-4" />
-            ) : (
-              <SortDesc className="w-4 h-4" />
+          <div className="flex items-center gap-2 self-start sm:self-auto">
+            {onReplaceText && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setShowFindReplace((prev) => !prev)}
+                title="Find and replace"
+                className={`border-white/20 text-white hover:bg-white/20 ${
+                  showFindReplace ? "bg-blue-500/30" : "bg-white/10"
+                }`}
+              >
+                <TextSearch className="w-4 h-4" />
+              </Button>
             )}
-          </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
+              className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              {sortOrder === "asc" ? (
+                <SortAsc className="w-4 h-4" />
+              ) : (
+                <SortDesc className="w-4 h-4" />
+              )}
+            </Button>
+          </div>
         </div>
 
         {/* Search */}
@@ -108,6 +194,29 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
           />
         </div>
 
+        {/* Find and replace */}
+        {showFindReplace && onReplaceText && (
+          <FindReplacePanel
+            captions={captions}
+            timeSettings={timeSettings}
+            onNavigate={onFindNavigate}
+            onReplace={onReplaceText}
+          />
+        )}
+
+        {/* Bulk actions */}
+        {selectedIds.length > 0 && (
+          <BulkActions
+            count={selectedIds.length}
+            timeSettings={timeSettings}
+            onApplyStyle={(style) => onStyleSelected(selectedIds, style)}
+            onShift={(seconds) => onShiftSelected(selectedIds, seconds)}
+            onExport={() => onExportSelected(selectedIds)}
+            onDelete={() => onDeleteSelected(selectedIds)}
+            onClear={() => onSelectionChange([])}
+          />
+        )}
+
         {/* Caption List */}
         <ScrollArea className="h-80 lg:h-96">
           <div className="space-y-3">
@@ -115,6 +224,11 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
               {filteredAndSortedCaptions.map((caption, index) => {
                 const status = getCaptionStatus(caption);
                 const isActive = isCurrentCaption(caption);
+                const order = timeOrder.indexOf(caption.id);
+                const isSelected = selectedIds.includes(caption.id);
+                const translation =
+                  caption.sourceId &&
+                  TRANSLATION_STATUSES[getTranslationStatus(caption)];
 
                 return (
                   <motion.div
@@ -126,12 +240,25 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
                     className={`p-3 lg:p-4 rounded-lg border transition-all duration-200 ${
                       isActive
                         ? "bg-green-500/20 border-green-500/50 shadow-lg"
+                        : isSelected
+                        ? "bg-blue-500/20 border-blue-500/40"
                         : "bg-white/5 border-white/10 hover:bg-white/10"
                     }`}
                   >
                     {/* Caption Header */}
                     <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2 mb-3">
                       <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                        {onSelectionChange && (
+                          <input
+                            type="checkbox"
+                            checked={isSelected}
+                            onChange={(e) =>
+                              toggleSelected(caption.id, e.nativeEvent.shiftKey)
+                            }
+                            title="Select (Shift+click for a range)"
+                            className="accent-blue-500 w-4 h-4 self-start sm:self-auto"
+                          />
+                        )}
                         <Badge
                           variant="outline"
                           className={`text-xs ${getStatusColor(
@@ -140,10 +267,28 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
                         >
                           {status}
                         </Badge>
+                        {caption.untimed && (
+                          <Badge
+                            variant="outline"
+                            className="text-xs bg-yellow-500/20 text-yellow-400 border-yellow-500/30 self-start"
+                          >
+                            untimed
+                          </Badge>
+                        )}
+                        {translation && (
+                          <Badge
+                            variant="outline"
+                            className={`text-xs ${translation.className} self-start`}
+                          >
+                            {translation.label.toLowerCase()}
+                          </Badge>
+                        )}
                         <div className="flex items-center gap-1 text-xs text-slate-400">
                           <Clock className="w-3 h-3" />
-                          {formatTime(caption.startTime)} -{" "}
-                          {formatTime(caption.endTime)}
+                          {formatTimestamp(
+                            caption.startTime,
+                            timeSettings
+                          )} - {formatTimestamp(caption.endTime, timeSettings)}
                         </div>
                       </div>
 
@@ -164,6 +309,30 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
                         >
                           <Edit className="w-3 h-3" />
                         </Button>
+                        {onMerge && (
+                          <>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onMerge(caption.id, "previous")}
+                              disabled={order === 0}
+                              title="Merge with previous (Alt+Shift+M)"
+                              className="text-purple-400 hover:bg-purple-500/20 h-8 w-8 p-0"
+                            >
+                              <ArrowUpToLine className="w-3 h-3" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onMerge(caption.id, "next")}
+                              disabled={order === timeOrder.length - 1}
+                              title="Merge with next (Alt+M)"
+                              className="text-purple-400 hover:bg-purple-500/20 h-8 w-8 p-0"
+                            >
+                              <ArrowDownToLine className="w-3 h-3" />
+                            </Button>
+                          </>
+                        )}
                         <Button
                           variant="ghost"
                           size="sm"
@@ -221,7 +390,7 @@ const CaptionList = ({ captions, currentTime, onEdit, onDelete, onSeek }) => {
         {filteredAndSortedCaptions.length === 0 && searchTerm && (
           <div className="text-center py-8 text-slate-400">
             <Search className="w-8 h-8 mx-auto mb-2 opacity-50" />
-            <p>No captions found for "{searchTerm}"</p>
+            <p>No captions found for &quot;{searchTerm}&quot;</p>
           </div>
         )}
       </div>
@@ -0,0 +1,254 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import {
+  ChevronUp,
+  ChevronDown,
+  Regex,
+  CaseSensitive,
+  WholeWord,
+  Replace,
+  ReplaceAll,
+} from "lucide-react";
+import { formatTimestamp } from "../utils/timeUtils";
+import {
+  buildSearchPattern,
+  findMatches,
+  replaceAllMatches,
+  replaceMatches,
+} from "../utils/findUtils";
+import { toast } from "sonner";
+
+const optionButtons = [
+  { option: "regex", label: "Regular expression", Icon: Regex },
+  { option: "matchCase", label: "Match case", Icon: CaseSensitive },
+  { option: "wholeWord", label: "Whole word", Icon: WholeWord },
+];
+
+const FindReplacePanel = ({
+  captions,
+  timeSettings,
+  onNavigate,
+  onReplace,
+}) => {
+  const [query, setQuery] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [options, setOptions] = useState({
+    regex: false,
+    matchCase: false,
+    wholeWord: false,
+  });
+  const [currentIndex, setCurrentIndex] = useState(0);
+
+  const { pattern, error } = useMemo(
+    () => buildSearchPattern(query, options),
+    [query, options]
+  );
+  const matches = useMemo(
+    () => findMatches(captions, pattern),
+    [captions, pattern]
+  );
+
+  // Stay in range as replacements remove matches
+  const index = matches.length > 0 ? currentIndex % matches.length : -1;
+  const current = matches[index];
+
+  const goTo = (nextIndex) => {
+    if (matches.length === 0) return;
+    const wrapped = (nextIndex + matches.length) % matches.length;
+    setCurrentIndex(wrapped);
+    onNavigate(matches[wrapped].caption);
+  };
+
+  const toggleOption = (option) => {
+    setOptions((prev) => ({ ...prev, [option]: !prev[option] }));
+    setCurrentIndex(0);
+  };
+
+  // Replace the current match, then move to the first match after the
+  // replaced text, skipping any the replacement itself creates (e.g. fixing
+  // capitalisation)
+  const replaceCurrent = () => {
+    if (!current) return;
+    const { id, text: oldText } = current.caption;
+    const { text, count } = replaceMatches(
+      oldText,
+      [current],
+      pattern,
+      replacement,
+      options.regex
+    );
+    if (count > 0) {
+      onReplace("Replace text", [{ id, text }]);
+    }
+
+    // Matches against the new text, so navigating never hands back the
+    // caption as it was before the replacement
+    const replacedEnd = current.end + text.length - oldText.length;
+    const nextMatches = findMatches(
+      captions.map((caption) =>
+        caption.id === id ? { ...caption, text } : caption
+      ),
+      pattern
+    );
+    const skipped = nextMatches.filter(
+      (match) =>
+        match.caption.id === id &&
+        match.start >= current.start &&
+        match.start < replacedEnd
+    ).length;
+    const nextIndex = index + skipped;
+    setCurrentIndex(nextIndex);
+
+    const next = nextMatches[nextIndex];
+    if (next) {
+      onNavigate(next.caption);
+    }
+  };
+
+  const replaceAll = () => {
+    if (matches.length === 0) return;
+    const { updates, count } = replaceAllMatches(
+      matches,
+      pattern,
+      replacement,
+      options.regex
+    );
+    if (count === 0) {
+      toast.warning("Replacing left every match unchanged");
+      return;
+    }
+    onReplace(`Replace ${count} matches`, updates);
+    toast.success(`Replaced ${count} matches in ${updates.length} captions`);
+    setCurrentIndex(0);
+  };
+
+  const handleFindKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      goTo(e.shiftKey ? index - 1 : index + 1);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-2 p-3 rounded-lg bg-white/5 border border-white/10"
+    >
+      <div className="flex gap-1">
+        <Input
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setCurrentIndex(0);
+          }}
+          onKeyDown={handleFindKeyDown}
+          placeholder="Find"
+          className={`h-8 bg-white/10 border-white/20 text-white placeholder:text-slate-400 ${
+            error ? "border-red-500" : ""
+          }`}
+        />
+        {optionButtons.map(({ option, label, Icon }) => (
+          <Button
+            key={option}
+            variant="ghost"
+            size="sm"
+            onClick={() => toggleOption(option)}
+            title={label}
+            className={`h-8 w-8 p-0 shrink-0 ${
+              options[option]
+                ? "bg-blue-500/30 text-white"
+                : "text-slate-400 hover:bg-white/10"
+            }`}
+          >
+            <Icon className="w-4 h-4" />
+          </Button>
+        ))}
+      </div>
+
+      <div className="flex gap-1">
+        <Input
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          placeholder={options.regex ? "Replace ($1 for groups)" : "Replace"}
+          className="h-8 bg-white/10 border-white/20 text-white placeholder:text-slate-400"
+        />
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={replaceCurrent}
+          disabled={!current}
+          title="Replace"
+          className="h-8 w-8 p-0 shrink-0 text-slate-300 hover:bg-white/10"
+        >
+          <Replace className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={replaceAll}
+          disabled={matches.length === 0}
+          title="Replace all"
+          className="h-8 w-8 p-0 shrink-0 text-slate-300 hover:bg-white/10"
+        >
+          <ReplaceAll className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <span className={error ? "text-red-400" : "text-slate-400"}>
+          {error ||
+            (query
+              ? matches.length > 0
+                ? `${index + 1} of ${matches.length} matches`
+                : "No matches"
+              : "Enter to find next, Shift+Enter for previous")}
+        </span>
+        <div className="flex items-center gap-1">
+          {current && (
+            <span className="font-mono text-slate-400 mr-1">
+              {formatTimestamp(current.caption.startTime, timeSettings)}
+            </span>
+          )}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => goTo(index - 1)}
+            disabled={matches.length === 0}
+            title="Previous match"
+            className="h-7 w-7 p-0 text-slate-300 hover:bg-white/10"
+          >
+            <ChevronUp className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => goTo(index + 1)}
+            disabled={matches.length === 0}
+            title="Next match"
+            className="h-7 w-7 p-0 text-slate-300 hover:bg-white/10"
+          >
+            <ChevronDown className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      {/* Current match in context */}
+      {current && (
+        <div className="text-sm text-slate-300 break-words">
+          {current.caption.text.slice(0, current.start)}
+          <mark className="bg-yellow-400/40 text-white rounded px-0.5">
+            {current.text}
+          </mark>
+          {current.caption.text.slice(current.end)}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default FindReplacePanel;
@@ -0,0 +1,105 @@
+"use client";
+
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { ScrollArea } from "../components/ui/scroll-area";
+import { History, Undo2, Redo2, CircleDot } from "lucide-react";
+
+const formatClock = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+const HistoryPanel = ({ past, future, onUndo, onRedo, onTravel }) => {
+  // Newest first: undone steps on top, then applied steps, then the start
+  const entries = [
+    ...future
+      .map((entry, index) => ({ ...entry, steps: index + 1, undone: true }))
+      .reverse(),
+    ...past
+      .map((entry, index) => ({
+        ...entry,
+        steps: index + 1 - past.length,
+        current: index === past.length - 1,
+      }))
+      .reverse(),
+  ];
+
+  return (
+    <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+            <History className="w-5 h-5" />
+            History
+          </h3>
+          <div className="flex items-center gap-1">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onUndo}
+              disabled={past.length === 0}
+              title="Undo (Ctrl+Z)"
+              className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              <Undo2 className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onRedo}
+              disabled={future.length === 0}
+              title="Redo (Ctrl+Shift+Z)"
+              className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+            >
+              <Redo2 className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        <ScrollArea className="h-80 lg:h-96">
+          <div className="space-y-1">
+            {entries.map((entry) => (
+              <button
+                key={entry.id}
+                type="button"
+                onClick={() => onTravel(entry.steps)}
+                className={`w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                  entry.current
+                    ? "bg-blue-500/30 text-white"
+                    : entry.undone
+                    ? "text-slate-500 hover:bg-white/5 line-through"
+                    : "text-slate-300 hover:bg-white/10"
+                }`}
+              >
+                <span className="flex items-center gap-2 min-w-0">
+                  {entry.current && <CircleDot className="w-3 h-3 shrink-0" />}
+                  <span className="truncate">{entry.label}</span>
+                </span>
+                <span className="text-xs text-slate-500 shrink-0">
+                  {formatClock(entry.timestamp)}
+                </span>
+              </button>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => onTravel(-past.length)}
+              className={`w-full px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                past.length === 0
+                  ? "bg-blue-500/30 text-white"
+                  : "text-slate-400 hover:bg-white/10"
+              }`}
+            >
+              Session start
+            </button>
+          </div>
+        </ScrollArea>
+      </div>
+    </Card>
+  );
+};
+
+export default HistoryPanel;
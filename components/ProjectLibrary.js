@@ -0,0 +1,257 @@
+"use client";
+
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Badge } from "../components/ui/badge";
+import {
+  FolderOpen,
+  Plus,
+  Copy,
+  Trash2,
+  Pencil,
+  Check,
+  X,
+  ArrowLeft,
+  Film,
+  Loader2,
+} from "lucide-react";
+import { formatDuration } from "../utils/timeUtils";
+import { countTrackCaptions } from "../utils/trackUtils";
+
+const formatModified = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+const getVideoLabel = (project) => {
+  if (project.localVideo) return project.localVideo.name;
+  if (project.videoUrl) return project.videoUrl;
+  return "No video";
+};
+
+const ProjectLibrary = ({
+  projects,
+  currentProjectId,
+  isLoading,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose,
+}) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [nameDraft, setNameDraft] = useState("");
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const startRename = (project) => {
+    setRenamingId(project.id);
+    setNameDraft(project.name);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const name = nameDraft.trim();
+    if (name) {
+      onRename(renamingId, name);
+    }
+    setRenamingId(null);
+  };
+
+  return (
+    <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10">
+      <div className="space-y-4">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <h2 className="text-xl font-semibold text-white flex items-center gap-2">
+            <FolderOpen className="w-5 h-5" />
+            Projects ({projects.length})
+          </h2>
+          <div className="flex gap-2">
+            {currentProjectId && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={onClose}
+                className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+              >
+                <ArrowLeft className="w-4 h-4 mr-2" />
+                Back to editor
+              </Button>
+            )}
+            <Button
+              size="sm"
+              onClick={onCreate}
+              className="bg-blue-600 hover:bg-blue-700 text-white"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              New Project
+            </Button>
+          </div>
+        </div>
+
+        {isLoading && (
+          <div className="flex items-center justify-center gap-2 py-8 text-slate-400">
+            <Loader2 className="w-5 h-5 animate-spin" />
+            Loading projects...
+          </div>
+        )}
+
+        {!isLoading && projects.length === 0 && (
+          <div className="text-center py-8 text-slate-400">
+            <Film className="w-12 h-12 mx-auto mb-4 opacity-50" />
+            <p className="text-lg font-medium">No projects yet</p>
+            <p className="text-sm">Create a project to start captioning</p>
+          </div>
+        )}
+
+        {/* Project List */}
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+          <AnimatePresence>
+            {projects.map((project) => (
+              <motion.div
+                key={project.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                className={`p-4 rounded-lg border space-y-3 ${
+                  project.id === currentProjectId
+                    ? "bg-blue-500/20 border-blue-500/50"
+                    : "bg-white/5 border-white/10 hover:bg-white/10"
+                }`}
+              >
+                {renamingId === project.id ? (
+                  <form onSubmit={submitRename} className="flex gap-2">
+                    <Input
+                      autoFocus
+                      value={nameDraft}
+                      onChange={(e) => setNameDraft(e.target.value)}
+                      onKeyDown={(e) =>
+                        e.key === "Escape" && setRenamingId(null)
+                      }
+                      className="h-8 bg-white/10 border-white/20 text-white"
+                    />
+                    <Button
+                      type="submit"
+                      variant="ghost"
+                      size="sm"
+                      className="text-green-400 hover:bg-green-500/20 h-8 w-8 p-0"
+                    >
+                      <Check className="w-4 h-4" />
+                    </Button>
+                  </form>
+                ) : (
+                  <div className="flex items-start justify-between gap-2">
+                    <button
+                      type="button"
+                      onClick={() => onOpen(project.id)}
+                      className="text-left min-w-0"
+                    >
+                      <h3 className="text-white font-medium truncate hover:underline">
+                        {project.name}
+                      </h3>
+                      <p className="text-xs text-slate-400 truncate">
+                        {getVideoLabel(project)}
+                      </p>
+                    </button>
+                    {project.id === currentProjectId && (
+                      <Badge
+                        variant="secondary"
+                        className="bg-blue-500/30 text-blue-200 shrink-0"
+                      >
+                        Open
+                      </Badge>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-400">
+                  <span>{countTrackCaptions(project.tracks)} captions</span>
+                  {project.tracks.length > 1 && (
+                    <span>{project.tracks.length} tracks</span>
+                  )}
+                  {project.localVideo?.duration > 0 && (
+                    <span>{formatDuration(project.localVideo.duration)}</span>
+                  )}
+                  <span>Modified {formatModified(project.lastModified)}</span>
+                </div>
+
+                {confirmDeleteId === project.id ? (
+                  <div className="flex items-center justify-between gap-2 text-sm">
+                    <span className="text-red-300">Delete this project?</span>
+                    <div className="flex gap-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => {
+                          onDelete(project.id);
+                          setConfirmDeleteId(null);
+                        }}
+                        className="text-red-400 hover:bg-red-500/20 h-8"
+                      >
+                        Delete
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setConfirmDeleteId(null)}
+                        className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+                      >
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onOpen(project.id)}
+                      className="text-blue-400 hover:bg-blue-500/20 h-8"
+                    >
+                      <FolderOpen className="w-3 h-3 mr-1" />
+                      Open
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => startRename(project)}
+                      title="Rename"
+                      className="text-yellow-400 hover:bg-yellow-500/20 h-8 w-8 p-0"
+                    >
+                      <Pencil className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onDuplicate(project.id)}
+                      title="Duplicate"
+                      className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+                    >
+                      <Copy className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setConfirmDeleteId(project.id)}
+                      title="Delete"
+                      className="text-red-400 hover:bg-red-500/20 h-8 w-8 p-0"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </Button>
+                  </div>
+                )}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default ProjectLibrary;
@@ -0,0 +1,171 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Badge } from "../components/ui/badge";
+import { ScrollArea } from "../components/ui/scroll-area";
+import { ShieldCheck, Settings2, Wand2, CheckCircle2 } from "lucide-react";
+import { formatTimestamp } from "../utils/timeUtils";
+import { QC_RULES, getQcRule } from "../utils/qcUtils";
+
+const QcPanel = ({
+  issues,
+  settings,
+  onSettingsChange,
+  selectedCaptionId,
+  onSelectIssue,
+  onFix,
+  timeSettings,
+}) => {
+  const [showRules, setShowRules] = useState(false);
+
+  const countByRule = issues.reduce((counts, issue) => {
+    counts[issue.ruleId] = (counts[issue.ruleId] || 0) + 1;
+    return counts;
+  }, {});
+
+  const updateRule = (id, changes) => {
+    onSettingsChange({ ...settings, [id]: { ...settings[id], ...changes } });
+  };
+
+  return (
+    <Card className="p-4 lg:p-6 space-y-4 bg-white/5 backdrop-blur-sm border-white/10">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5" />
+          Quality Check
+        </h3>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setShowRules((prev) => !prev)}
+          className={`border-white/20 text-white hover:bg-white/20 ${
+            showRules ? "bg-blue-500/30" : "bg-white/10"
+          }`}
+        >
+          <Settings2 className="w-4 h-4 mr-2" />
+          Rules
+        </Button>
+      </div>
+
+      {/* Rule settings */}
+      {showRules && (
+        <div className="space-y-2 p-3 rounded-lg bg-white/5 border border-white/10">
+          {QC_RULES.map((rule) => (
+            <div key={rule.id} className="flex items-center gap-2 text-sm">
+              <input
+                id={`qc-${rule.id}`}
+                type="checkbox"
+                checked={settings[rule.id].enabled}
+                onChange={(e) =>
+                  updateRule(rule.id, { enabled: e.target.checked })
+                }
+                className="accent-blue-500"
+              />
+              <label
+                htmlFor={`qc-${rule.id}`}
+                className="flex-1 text-slate-300"
+              >
+                {rule.label}
+              </label>
+              {rule.defaultValue !== undefined && (
+                <>
+                  <Input
+                    type="number"
+                    min={0}
+                    step={rule.step}
+                    value={settings[rule.id].value}
+                    onChange={(e) =>
+                      updateRule(rule.id, {
+                        value: Math.max(0, Number(e.target.value)),
+                      })
+                    }
+                    disabled={!settings[rule.id].enabled}
+                    className="h-8 w-20 bg-white/10 border-white/20 text-white"
+                  />
+                  <span className="w-16 text-xs text-slate-400">
+                    {rule.unit}
+                  </span>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {issues.length === 0 ? (
+        <div className="text-center py-6 text-slate-400">
+          <CheckCircle2 className="w-10 h-10 mx-auto mb-3 text-green-400 opacity-70" />
+          <p className="font-medium">No issues found</p>
+        </div>
+      ) : (
+        <>
+          {/* Summary with per-rule fixes */}
+          <div className="space-y-1">
+            {QC_RULES.filter((rule) => countByRule[rule.id]).map((rule) => (
+              <div
+                key={rule.id}
+                className="flex items-center justify-between gap-2 text-sm"
+              >
+                <span className="text-slate-300 flex items-center gap-2">
+                  <Badge
+                    variant="secondary"
+                    className="bg-red-500/20 text-red-300"
+                  >
+                    {countByRule[rule.id]}
+                  </Badge>
+                  {rule.label}
+                </span>
+                {rule.fix && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onFix(rule.id)}
+                    className="text-blue-400 hover:bg-blue-500/20 h-7"
+                  >
+                    <Wand2 className="w-3 h-3 mr-1" />
+                    {rule.fixLabel}
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Issues */}
+          <ScrollArea className="h-64 lg:h-80">
+            <div className="space-y-1 pr-2">
+              {issues.map((issue) => (
+                <button
+                  key={issue.key}
+                  type="button"
+                  onClick={() => onSelectIssue(issue.caption)}
+                  className={`w-full px-3 py-2 rounded-lg text-left text-sm transition-colors ${
+                    issue.caption.id === selectedCaptionId
+                      ? "bg-blue-500/30 text-white"
+                      : "text-slate-300 hover:bg-white/10"
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <span className="font-mono text-slate-400">
+                      {formatTimestamp(issue.caption.startTime, timeSettings)}
+                    </span>
+                    <span className="text-red-300">
+                      {getQcRule(issue.ruleId).label}: {issue.message}
+                    </span>
+                  </div>
+                  <div className="truncate">
+                    {issue.caption.text.trim() || "(empty)"}
+                  </div>
+                </button>
+              ))}
+            </div>
+          </ScrollArea>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default QcPanel;
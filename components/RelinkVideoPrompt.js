@@ -0,0 +1,62 @@
+"use client";
+
+import { useRef } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { FileWarning, FolderOpen, X } from "lucide-react";
+import { formatDuration } from "../utils/timeUtils";
+import { formatFileSize } from "../utils/fileUtils";
+
+const RelinkVideoPrompt = ({ video, onRelink, onDismiss }) => {
+  const fileInputRef = useRef(null);
+
+  return (
+    <motion.div initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }}>
+      <Card className="p-4 bg-yellow-500/10 border-yellow-500/30">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <FileWarning className="w-5 h-5 text-yellow-400 shrink-0" />
+          <div className="flex-1 min-w-0 text-sm">
+            <p className="text-yellow-200 font-medium">
+              Re-link the local video to continue
+            </p>
+            <p className="text-yellow-200/70 truncate">
+              {video.name} • {formatFileSize(video.size)}
+              {video.duration > 0 && ` • ${formatDuration(video.duration)}`}
+            </p>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="video/*"
+            onChange={(e) => {
+              if (e.target.files[0]) onRelink(e.target.files[0]);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+          <div className="flex gap-2">
+            <Button
+              size="sm"
+              onClick={() => fileInputRef.current?.click()}
+              className="bg-yellow-600 hover:bg-yellow-700 text-white"
+            >
+              <FolderOpen className="w-4 h-4 mr-2" />
+              Choose File
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={onDismiss}
+              className="text-yellow-200 hover:bg-yellow-500/20"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default RelinkVideoPrompt;
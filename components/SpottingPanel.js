@@ -0,0 +1,105 @@
+"use client";
+
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Badge } from "../components/ui/badge";
+import { Crosshair, Square } from "lucide-react";
+import { formatTimestamp } from "../utils/timeUtils";
+
+const SpottingPanel = ({
+  active,
+  target,
+  next,
+  position,
+  total,
+  pendingStart,
+  untimedCount,
+  timeSettings,
+  onStart,
+  onStop,
+  onClose,
+}) => (
+  <motion.div
+    initial={{ opacity: 0, y: -10 }}
+    animate={{ opacity: 1, y: 0 }}
+    className="space-y-3 p-4 rounded-lg bg-white/5 border border-white/10"
+  >
+    <div className="flex items-center justify-between gap-2">
+      <h4 className="text-sm font-medium text-white flex items-center gap-2">
+        <Crosshair className="w-4 h-4" />
+        Spotting
+        {active && (
+          <Badge variant="secondary" className="bg-blue-500/30 text-blue-200">
+            {position + 1} / {total}
+          </Badge>
+        )}
+      </h4>
+      {active ? (
+        <Button
+          size="sm"
+          onClick={onStop}
+          className="h-8 bg-red-600 hover:bg-red-700 text-white"
+        >
+          <Square className="w-3 h-3 mr-1" />
+          Stop
+        </Button>
+      ) : (
+        <div className="flex gap-2">
+          <Button
+            size="sm"
+            onClick={onStart}
+            className="h-8 bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            Start
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={onClose}
+            className="h-8 bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            Close
+          </Button>
+        </div>
+      )}
+    </div>
+
+    <p className="text-xs text-slate-400">
+      Hold <kbd className="px-1.5 py-0.5 bg-white/10 rounded">T</kbd> while a
+      line is spoken, or tap it once when the line starts and again when it
+      ends. Slow the player down for fast dialogue.
+      {!active &&
+        (untimedCount > 0
+          ? ` ${untimedCount} untimed captions are waiting.`
+          : " Starts from the selected caption, or the next one after the playhead.")}
+    </p>
+
+    {active && (
+      <div className="space-y-2">
+        <div
+          className={`p-3 rounded-lg border text-white ${
+            pendingStart !== null
+              ? "bg-red-500/20 border-red-500/50"
+              : "bg-white/5 border-white/10"
+          }`}
+        >
+          <div className="text-xs text-slate-400 mb-1 font-mono">
+            {pendingStart !== null
+              ? `In at ${formatTimestamp(pendingStart, timeSettings)}...`
+              : "Waiting for in point"}
+          </div>
+          <div className="whitespace-pre-line break-words">
+            {target ? target.text : "(caption removed)"}
+          </div>
+        </div>
+        {next && (
+          <div className="text-xs text-slate-500 truncate">
+            Next: {next.text}
+          </div>
+        )}
+      </div>
+    )}
+  </motion.div>
+);
+
+export default SpottingPanel;
@@ -0,0 +1,374 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { Button } from "../components/ui/button";
+import { Card } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Badge } from "../components/ui/badge";
+import { ScrollArea } from "../components/ui/scroll-area";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import {
+  Tabs,
+  TabsContent,
+  TabsList,
+  TabsTrigger,
+} from "../components/ui/tabs";
+import { RefreshCw, ArrowRight } from "lucide-react";
+import {
+  DEFAULT_TIME_SETTINGS,
+  FRAME_RATES,
+  formatTimestamp,
+  getFrameRate,
+  parseSignedTimestamp,
+  parseTimestamp,
+  snapTimestamp,
+} from "../utils/timeUtils";
+import {
+  offsetMapping,
+  retimeCaptions,
+  sortCaptions,
+  stretchMapping,
+  twoPointMapping,
+} from "../utils/captionUtils";
+
+// Drop-frame only changes timecode labels, not the speed, so it's left out
+const stretchRates = FRAME_RATES.filter((rate) => !rate.dropFrame);
+
+const selectItemClass = "text-white focus:bg-slate-700 focus:text-white";
+const fieldClass =
+  "bg-white/10 border-white/20 text-white placeholder:text-slate-400";
+
+const SyncPanel = ({
+  captions,
+  selectedIds = [],
+  duration,
+  getCurrentTime,
+  timeSettings = DEFAULT_TIME_SETTINGS,
+  onApply,
+  disabled,
+}) => {
+  const [mode, setMode] = useState("offset");
+  const [scope, setScope] = useState("all");
+  const [offset, setOffset] = useState("");
+  const [fromRate, setFromRate] = useState("25");
+  const [toRate, setToRate] = useState("23.976");
+  const [points, setPoints] = useState([
+    { id: "", time: "" },
+    { id: "", time: "" },
+  ]);
+
+  const sorted = useMemo(() => sortCaptions(captions), [captions]);
+  const hasSelection = selectedIds.length > 0;
+  const activeScope = scope === "selected" && hasSelection ? "selected" : "all";
+
+  // Two-point defaults: first and last caption at their current times
+  const resolvedPoints = useMemo(
+    () =>
+      points.map((point, index) => {
+        const caption =
+          sorted.find((c) => c.id === point.id) ||
+          (index === 0 ? sorted[0] : sorted[sorted.length - 1]);
+        const defaultTime = caption
+          ? formatTimestamp(caption.startTime, timeSettings)
+          : "";
+        return { caption, time: point.time || defaultTime };
+      }),
+    [points, sorted, timeSettings]
+  );
+
+  const updatePoint = (index, changes) => {
+    setPoints((prev) =>
+      prev.map((point, i) => (i === index ? { ...point, ...changes } : point))
+    );
+  };
+
+  const { mapTime, error } = useMemo(() => {
+    switch (mode) {
+      case "offset": {
+        const seconds = parseSignedTimestamp(offset, timeSettings);
+        if (isNaN(seconds)) return { error: "Invalid offset" };
+        return { mapTime: seconds ? offsetMapping(seconds) : null };
+      }
+      case "stretch": {
+        if (fromRate === toRate) return { mapTime: null };
+        return {
+          mapTime: stretchMapping(
+            getFrameRate(fromRate).fps,
+            getFrameRate(toRate).fps
+          ),
+        };
+      }
+      case "twoPoint": {
+        const [first, second] = resolvedPoints;
+        if (!first.caption || !second.caption) {
+          return { error: "Pick two captions" };
+        }
+        const firstTime = parseTimestamp(first.time, timeSettings);
+        const secondTime = parseTimestamp(second.time, timeSettings);
+        if (isNaN(firstTime) || isNaN(secondTime)) {
+          return { error: "Invalid corrected time" };
+        }
+        const mapping = twoPointMapping(
+          { from: first.caption.startTime, to: firstTime },
+          { from: second.caption.startTime, to: secondTime }
+        );
+        return mapping
+          ? { mapTime: mapping }
+          : { error: "Pick two captions that start at different times" };
+      }
+      default:
+        return { mapTime: null };
+    }
+  }, [mode, offset, fromRate, toRate, resolvedPoints, timeSettings]);
+
+  const preview = useMemo(() => {
+    if (!mapTime) return [];
+    return retimeCaptions(sorted, mapTime, {
+      ids: activeScope === "selected" ? selectedIds : null,
+      duration,
+      snap: (time) => snapTimestamp(time, timeSettings),
+    });
+  }, [sorted, mapTime, activeScope, selectedIds, duration, timeSettings]);
+
+  const applicable = preview.filter((entry) => entry.valid);
+  const skipped = preview.length - applicable.length;
+  const clamped = applicable.filter((entry) => entry.clamped).length;
+
+  const handleApply = () => {
+    onApply(
+      applicable.map(({ caption, startTime, endTime }) => ({
+        id: caption.id,
+        startTime,
+        endTime,
+      })),
+      skipped
+    );
+  };
+
+  const renderRateSelect = (value, onChange) => (
+    <Select value={value} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="bg-white/10 border-white/20 text-white">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent className="bg-slate-800 border-slate-700">
+        {stretchRates.map((rate) => (
+          <SelectItem
+            key={rate.value}
+            value={rate.value}
+            className={selectItemClass}
+          >
+            {rate.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <Card className="p-4 lg:p-6 space-y-4 bg-white/5 backdrop-blur-sm border-white/10">
+      <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+        <RefreshCw className="w-5 h-5" />
+        Synchronize
+      </h3>
+
+      {/* Scope */}
+      <div className="space-y-2">
+        <Label className="text-slate-300">Apply to</Label>
+        <Select value={activeScope} onValueChange={setScope}>
+          <SelectTrigger className="bg-white/10 border-white/20 text-white">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-slate-800 border-slate-700">
+            <SelectItem value="all" className={selectItemClass}>
+              All captions ({captions.length})
+            </SelectItem>
+            <SelectItem
+              value="selected"
+              disabled={!hasSelection}
+              className={selectItemClass}
+            >
+              Selected captions ({selectedIds.length})
+            </SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Tabs value={mode} onValueChange={setMode} className="w-full">
+        <TabsList className="grid w-full grid-cols-3 bg-white/10">
+          <TabsTrigger
+            value="offset"
+            className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+          >
+            Offset
+          </TabsTrigger>
+          <TabsTrigger
+            value="stretch"
+            className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+          >
+            Frame rate
+          </TabsTrigger>
+          <TabsTrigger
+            value="twoPoint"
+            className="data-[state=active]:bg-blue-500/30 text-xs sm:text-sm"
+          >
+            Two-point
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="offset" className="mt-4 space-y-2">
+          <Label htmlFor="syncOffset" className="text-slate-300">
+            Shift by (negative moves earlier)
+          </Label>
+          <Input
+            id="syncOffset"
+            value={offset}
+            onChange={(e) => setOffset(e.target.value)}
+            placeholder={`-${formatTimestamp(1.5, timeSettings)}`}
+            disabled={disabled}
+            className={fieldClass}
+          />
+        </TabsContent>
+
+        <TabsContent value="stretch" className="mt-4 space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label className="text-slate-300">Captions timed at</Label>
+              {renderRateSelect(fromRate, setFromRate)}
+            </div>
+            <div className="space-y-2">
+              <Label className="text-slate-300">Video plays at</Label>
+              {renderRateSelect(toRate, setToRate)}
+            </div>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="twoPoint" className="mt-4 space-y-4">
+          <p className="text-xs text-slate-400">
+            Pick two captions far apart and enter when each should start.
+            Everything else is stretched and shifted to match.
+          </p>
+          {resolvedPoints.map((point, index) => (
+            <div key={index} className="space-y-2">
+              <Label className="text-slate-300">
+                {index === 0 ? "First" : "Second"} caption
+              </Label>
+              <Select
+                value={point.caption?.id || ""}
+                onValueChange={(id) => updatePoint(index, { id, time: "" })}
+                disabled={disabled || sorted.length === 0}
+              >
+                <SelectTrigger className="bg-white/10 border-white/20 text-white">
+                  <SelectValue placeholder="Select caption" />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  {sorted.map((caption) => (
+                    <SelectItem
+                      key={caption.id}
+                      value={caption.id}
+                      className={selectItemClass}
+                    >
+                      {formatTimestamp(caption.startTime, timeSettings)}{" "}
+                      {caption.text.slice(0, 30)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <div className="flex gap-2">
+                <Input
+                  value={point.time}
+                  onChange={(e) => updatePoint(index, { time: e.target.value })}
+                  placeholder="Correct start time"
+                  disabled={disabled}
+                  className={fieldClass}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    updatePoint(index, {
+                      id: point.caption?.id || "",
+                      time: formatTimestamp(getCurrentTime(), timeSettings),
+                    })
+                  }
+                  disabled={disabled}
+                  className="bg-white/10 border-white/20 text-white hover:bg-white/20 shrink-0"
+                >
+                  Now
+                </Button>
+              </div>
+            </div>
+          ))}
+        </TabsContent>
+      </Tabs>
+
+      {/* Preview */}
+      <div className="space-y-2">
+        <Label className="text-slate-300">Preview</Label>
+        {error ? (
+          <p className="text-red-400 text-xs">{error}</p>
+        ) : preview.length === 0 ? (
+          <p className="text-xs text-slate-400">No timing changes</p>
+        ) : (
+          <>
+            <p className="text-xs text-slate-400">
+              {applicable.length} captions will move
+              {clamped > 0 && `, ${clamped} trimmed to the video`}
+              {skipped > 0 && `, ${skipped} outside the video left unchanged`}
+            </p>
+            <ScrollArea className="h-48">
+              <div className="space-y-1 pr-2">
+                {preview.map(
+                  ({ caption, startTime, endTime, valid, clamped }) => (
+                    <div
+                      key={caption.id}
+                      className={`flex items-center gap-2 px-2 py-1 rounded text-xs ${
+                        valid ? "text-slate-300" : "text-slate-500 line-through"
+                      }`}
+                    >
+                      <span className="font-mono shrink-0">
+                        {formatTimestamp(caption.startTime, timeSettings)}
+                      </span>
+                      <ArrowRight className="w-3 h-3 shrink-0" />
+                      <span className="font-mono shrink-0">
+                        {formatTimestamp(startTime, timeSettings)}–
+                        {formatTimestamp(endTime, timeSettings)}
+                      </span>
+                      <span className="truncate">{caption.text}</span>
+                      {valid && clamped && (
+                        <Badge
+                          variant="secondary"
+                          className="bg-yellow-500/20 text-yellow-400 shrink-0"
+                        >
+                          trimmed
+                        </Badge>
+                      )}
+                    </div>
+                  )
+                )}
+              </div>
+            </ScrollArea>
+          </>
+        )}
+      </div>
+
+      <Button
+        onClick={handleApply}
+        disabled={disabled || Boolean(error) || applicable.length === 0}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white"
+      >
+        <RefreshCw className="w-4 h-4 mr-2" />
+        Apply to {applicable.length} captions
+      </Button>
+    </Card>
+  );
+};
+
+export default SyncPanel;
@@ -0,0 +1,69 @@
+"use client";
+
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import { Film } from "lucide-react";
+import { FRAME_RATES } from "../utils/timeUtils";
+
+const timeFormatOptions = [
+  { value: "time", label: "HH:MM:SS.mmm" },
+  { value: "timecode", label: "Timecode (HH:MM:SS:FF)" },
+];
+
+const TimeSettingsControl = ({ settings, onChange }) => {
+  const handleChange = (property, value) => {
+    onChange({ ...settings, [property]: value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Film className="w-4 h-4 text-slate-400" />
+      <Select
+        value={settings.timeFormat}
+        onValueChange={(value) => handleChange("timeFormat", value)}
+      >
+        <SelectTrigger className="h-9 w-52 bg-white/10 border-white/20 text-white text-sm">
+          <SelectValue placeholder="Time display" />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-slate-700">
+          {timeFormatOptions.map((option) => (
+            <SelectItem
+              key={option.value}
+              value={option.value}
+              className="text-white focus:bg-slate-700 focus:text-white"
+            >
+              {option.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Select
+        value={settings.frameRate}
+        onValueChange={(value) => handleChange("frameRate", value)}
+      >
+        <SelectTrigger className="h-9 w-36 bg-white/10 border-white/20 text-white text-sm">
+          <SelectValue placeholder="Frame rate" />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-slate-700">
+          {FRAME_RATES.map((rate) => (
+            <SelectItem
+              key={rate.value}
+              value={rate.value}
+              className="text-white focus:bg-slate-700 focus:text-white"
+            >
+              {rate.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+};
+
+export default TimeSettingsControl;
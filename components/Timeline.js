@@ -0,0 +1,393 @@
+"use client";
+
+import { useState, useRef, useEffect, useLayoutEffect } from "react";
+import { Button } from "../components/ui/button";
+import { Slider } from "../components/ui/slider";
+import { ZoomIn, ZoomOut, Maximize2, Loader2 } from "lucide-react";
+import WaveformCanvas from "../components/WaveformCanvas";
+import { snapToWordEdge } from "../utils/wordTimingUtils";
+import {
+  formatTimestamp,
+  getFrameRate,
+  roundToMilliseconds,
+  snapTimestamp,
+} from "../utils/timeUtils";
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 64;
+const RULER_HEIGHT = 24;
+const TRACK_HEIGHT = 48;
+const EDGE_HANDLE_PX = 6;
+// Pointer travel before a press on a caption counts as a drag, not a click
+const DRAG_THRESHOLD_PX = 3;
+// Dragged edges this close to a word boundary land on it
+const WORD_SNAP_PX = 8;
+const MIN_CAPTION_SECONDS = 0.1;
+const TICK_STEPS = [
+  0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800,
+];
+const MIN_TICK_SPACING_PX = 80;
+
+const Timeline = ({
+  captions,
+  duration,
+  currentTime,
+  isPlaying,
+  selectedCaptionId,
+  timeSettings,
+  waveform,
+  waveformStatus,
+  onSeek,
+  onSelectCaption,
+  onRetimeCaption,
+}) => {
+  const scrollRef = useRef(null);
+  const dragRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  const wheelHandlerRef = useRef(null);
+  const [viewportWidth, setViewportWidth] = useState(0);
+  const [zoom, setZoom] = useState(MIN_ZOOM);
+  const [scrollLeft, setScrollLeft] = useState(0);
+  // Live times for the caption being dragged; committed on release
+  const [draft, setDraft] = useState(null);
+
+  const hasDuration = duration > 0;
+
+  // Track the visible width so zoom 1 always fits the whole video
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setViewportWidth(entry.contentRect.width);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [hasDuration]);
+
+  const pixelsPerSecond =
+    duration > 0 && viewportWidth > 0 ? (viewportWidth / duration) * zoom : 0;
+  const contentWidth = duration * pixelsPerSecond;
+
+  // Keep the playhead in view while playing
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element || !isPlaying || pixelsPerSecond === 0) return;
+
+    const x = currentTime * pixelsPerSecond;
+    if (x < element.scrollLeft || x > element.scrollLeft + viewportWidth) {
+      element.scrollLeft = Math.max(0, x - viewportWidth * 0.1);
+    }
+  }, [currentTime, isPlaying, pixelsPerSecond, viewportWidth]);
+
+  // Apply the scroll offset queued by a zoom once the new width is laid out
+  useLayoutEffect(() => {
+    if (pendingScrollRef.current !== null && scrollRef.current) {
+      scrollRef.current.scrollLeft = pendingScrollRef.current;
+      pendingScrollRef.current = null;
+    }
+  }, [zoom]);
+
+  // Zoom while keeping the time under `anchorX` (viewport px) in place
+  const applyZoom = (nextZoom, anchorX = viewportWidth / 2) => {
+    const element = scrollRef.current;
+    const clamped = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, nextZoom));
+    if (!element || pixelsPerSecond === 0 || clamped === zoom) {
+      setZoom(clamped);
+      return;
+    }
+
+    const anchorTime = (element.scrollLeft + anchorX) / pixelsPerSecond;
+    const nextPixelsPerSecond = (viewportWidth / duration) * clamped;
+    pendingScrollRef.current = Math.max(
+      0,
+      anchorTime * nextPixelsPerSecond - anchorX
+    );
+    setZoom(clamped);
+  };
+
+  wheelHandlerRef.current = (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    const rect = scrollRef.current.getBoundingClientRect();
+    applyZoom(zoom * (e.deltaY < 0 ? 1.25 : 0.8), e.clientX - rect.left);
+  };
+
+  // React's wheel listener is passive, so Ctrl+scroll would zoom the page
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return;
+
+    const handleWheel = (e) => wheelHandlerRef.current(e);
+    element.addEventListener("wheel", handleWheel, { passive: false });
+    return () => element.removeEventListener("wheel", handleWheel);
+  }, [hasDuration]);
+
+  const timeFromClientX = (clientX) => {
+    const element = scrollRef.current;
+    const rect = element.getBoundingClientRect();
+    const seconds =
+      (clientX - rect.left + element.scrollLeft) / pixelsPerSecond;
+    return Math.min(duration, Math.max(0, seconds));
+  };
+
+  const snapTime = (seconds) => snapTimestamp(seconds, timeSettings);
+
+  const snapToWord = (caption, seconds, edge) =>
+    snapToWordEdge(caption, seconds, edge, WORD_SNAP_PX / pixelsPerSecond);
+
+  const minimumLength =
+    timeSettings?.timeFormat === "timecode"
+      ? 1 / getFrameRate(timeSettings.frameRate).fps
+      : MIN_CAPTION_SECONDS;
+
+  const handleTrackPointerDown = (e) => {
+    if (e.button !== 0 || pixelsPerSecond === 0) return;
+    onSeek(timeFromClientX(e.clientX));
+  };
+
+  const handleCaptionPointerDown = (e, caption) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    let mode = "move";
+    if (offsetX <= EDGE_HANDLE_PX) {
+      mode = "start";
+    } else if (offsetX >= rect.width - EDGE_HANDLE_PX) {
+      mode = "end";
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {
+      caption,
+      mode,
+      originX: e.clientX,
+      dragging: false,
+    };
+  };
+
+  const handleCaptionPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const deltaX = e.clientX - drag.originX;
+    if (!drag.dragging && Math.abs(deltaX) < DRAG_THRESHOLD_PX) return;
+    drag.dragging = true;
+
+    const { caption, mode } = drag;
+    const delta = deltaX / pixelsPerSecond;
+    let startTime = caption.startTime;
+    let endTime = caption.endTime;
+
+    if (mode === "move") {
+      const length = caption.endTime - caption.startTime;
+      startTime = snapTime(
+        Math.min(duration - length, Math.max(0, caption.startTime + delta))
+      );
+      endTime = roundToMilliseconds(startTime + length);
+    } else if (mode === "start") {
+      startTime = snapTime(
+        Math.min(
+          caption.endTime - minimumLength,
+          Math.max(0, snapToWord(caption, startTime + delta, "start"))
+        )
+      );
+    } else {
+      endTime = snapTime(
+        Math.max(
+          caption.startTime + minimumLength,
+          Math.min(duration, snapToWord(caption, endTime + delta, "end"))
+        )
+      );
+    }
+
+    setDraft({ id: caption.id, startTime, endTime });
+  };
+
+  const handleCaptionPointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    if (!drag.dragging) {
+      onSelectCaption(drag.caption);
+      return;
+    }
+
+    if (
+      draft &&
+      (draft.startTime !== drag.caption.startTime ||
+        draft.endTime !== drag.caption.endTime)
+    ) {
+      onRetimeCaption(drag.caption.id, {
+        startTime: draft.startTime,
+        endTime: draft.endTime,
+      });
+    }
+    setDraft(null);
+  };
+
+  const tickStep =
+    TICK_STEPS.find((step) => step * pixelsPerSecond >= MIN_TICK_SPACING_PX) ||
+    TICK_STEPS[TICK_STEPS.length - 1];
+  const ticks = [];
+  if (pixelsPerSecond > 0) {
+    for (let t = 0; t <= duration; t += tickStep) {
+      ticks.push(roundToMilliseconds(t));
+    }
+  }
+
+  if (!hasDuration) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-xs text-slate-400 flex items-center gap-2">
+          Drag to move • Drag edges to retime • Ctrl+scroll to zoom
+          {waveformStatus === "loading" && (
+            <span className="flex items-center gap-1">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              Loading waveform
+            </span>
+          )}
+        </span>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => applyZoom(zoom / 2)}
+            disabled={zoom <= MIN_ZOOM}
+            className="text-white hover:bg-white/20 h-8 w-8 p-0"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </Button>
+          <div className="w-24">
+            <Slider
+              value={[Math.log2(zoom)]}
+              onValueChange={(value) => applyZoom(2 ** value[0])}
+              min={0}
+              max={Math.log2(MAX_ZOOM)}
+              step={0.1}
+              className="cursor-pointer"
+            />
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => applyZoom(zoom * 2)}
+            disabled={zoom >= MAX_ZOOM}
+            className="text-white hover:bg-white/20 h-8 w-8 p-0"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => applyZoom(MIN_ZOOM)}
+            title="Fit to video"
+            className="text-white hover:bg-white/20 h-8 w-8 p-0"
+          >
+            <Maximize2 className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollLeft(e.currentTarget.scrollLeft)}
+        className="overflow-x-auto overflow-y-hidden rounded-lg bg-black/40 border border-white/10 select-none"
+      >
+        <div
+          className="relative"
+          style={{
+            width: `${contentWidth}px`,
+            height: `${RULER_HEIGHT + TRACK_HEIGHT}px`,
+          }}
+          onPointerDown={handleTrackPointerDown}
+        >
+          {/* Time Ruler */}
+          <div
+            className="absolute inset-x-0 top-0 border-b border-white/10 cursor-pointer"
+            style={{ height: `${RULER_HEIGHT}px` }}
+          >
+            {ticks.map((tick) => (
+              <div
+                key={tick}
+                className="absolute top-0 h-full border-l border-white/20"
+                style={{ left: `${tick * pixelsPerSecond}px` }}
+              >
+                <span className="absolute left-1 top-1 text-[10px] leading-none text-slate-400 font-mono whitespace-nowrap">
+                  {formatTimestamp(tick, timeSettings)}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {/* Waveform */}
+          {waveform && (
+            <WaveformCanvas
+              waveform={waveform}
+              pixelsPerSecond={pixelsPerSecond}
+              scrollLeft={scrollLeft}
+              width={Math.min(viewportWidth, contentWidth)}
+              height={TRACK_HEIGHT}
+              className="absolute pointer-events-none"
+              style={{ left: `${scrollLeft}px`, top: `${RULER_HEIGHT}px` }}
+            />
+          )}
+
+          {/* Caption Blocks */}
+          {captions.map((caption) => {
+            const times = draft && draft.id === caption.id ? draft : caption;
+            const isSelected = caption.id === selectedCaptionId;
+
+            return (
+              <div
+                key={caption.id}
+                onPointerDown={(e) => handleCaptionPointerDown(e, caption)}
+                onPointerMove={handleCaptionPointerMove}
+                onPointerUp={handleCaptionPointerUp}
+                onPointerCancel={handleCaptionPointerUp}
+                title={caption.text}
+                className={`absolute rounded border px-2 text-xs text-white overflow-hidden whitespace-nowrap text-ellipsis cursor-grab active:cursor-grabbing ${
+                  isSelected
+                    ? "bg-yellow-500/50 border-yellow-300 z-10"
+                    : "bg-blue-500/40 border-blue-400/60 hover:bg-blue-500/60"
+                }`}
+                style={{
+                  left: `${times.startTime * pixelsPerSecond}px`,
+                  width: `${Math.max(
+                    2,
+                    (times.endTime - times.startTime) * pixelsPerSecond
+                  )}px`,
+                  top: `${RULER_HEIGHT + 6}px`,
+                  height: `${TRACK_HEIGHT - 12}px`,
+                  lineHeight: `${TRACK_HEIGHT - 14}px`,
+                }}
+              >
+                {/* Edge handles */}
+                <span className="absolute inset-y-0 left-0 w-1.5 cursor-ew-resize bg-white/30" />
+                <span className="absolute inset-y-0 right-0 w-1.5 cursor-ew-resize bg-white/30" />
+                {caption.text}
+              </div>
+            );
+          })}
+
+          {/* Playhead */}
+          <div
+            className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none z-20"
+            style={{ left: `${currentTime * pixelsPerSecond}px` }}
+          >
+            <div className="absolute -top-0 -left-1 w-2 h-2 bg-red-500 rotate-45" />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Timeline;
@@ -0,0 +1,192 @@
+"use client";
+
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import { Plus, Settings2, Trash2, Eye, EyeOff, Download } from "lucide-react";
+import { TRACK_KINDS, getTrackKindLabel } from "../utils/trackUtils";
+
+const fieldClass =
+  "h-8 bg-white/10 border-white/20 text-white placeholder:text-slate-400";
+
+const getTrackLabel = (track) =>
+  track.language ? `${track.name} (${track.language})` : track.name;
+
+const TrackManager = ({
+  tracks,
+  activeTrackId,
+  onSelect,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onExport,
+}) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const activeTrack = tracks.find((track) => track.id === activeTrackId);
+
+  return (
+    <div className="space-y-3 mb-4">
+      <div className="flex gap-2">
+        <Select value={activeTrackId} onValueChange={onSelect}>
+          <SelectTrigger className="h-9 bg-white/10 border-white/20 text-white">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {tracks.map((track) => (
+              <SelectItem key={track.id} value={track.id}>
+                {getTrackLabel(track)} · {getTrackKindLabel(track.kind)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setShowSettings((prev) => !prev)}
+          title="Track settings"
+          className={`h-9 w-9 p-0 shrink-0 border-white/20 text-white hover:bg-white/20 ${
+            showSettings ? "bg-blue-500/30" : "bg-white/10"
+          }`}
+        >
+          <Settings2 className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onAdd}
+          title="Add track"
+          className="h-9 w-9 p-0 shrink-0 bg-white/10 border-white/20 text-white hover:bg-white/20"
+        >
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <AnimatePresence>
+        {showSettings && activeTrack && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="space-y-3 p-3 rounded-lg bg-white/5 border border-white/10 overflow-hidden"
+          >
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-1 col-span-2">
+                <Label className="text-xs text-slate-300">Name</Label>
+                <Input
+                  value={activeTrack.name}
+                  onChange={(e) =>
+                    onUpdate(activeTrack.id, { name: e.target.value })
+                  }
+                  onBlur={(e) => {
+                    if (!e.target.value.trim()) {
+                      onUpdate(activeTrack.id, { name: "Untitled track" });
+                    }
+                  }}
+                  className={fieldClass}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs text-slate-300">Language</Label>
+                <Input
+                  value={activeTrack.language}
+                  onChange={(e) =>
+                    onUpdate(activeTrack.id, {
+                      language: e.target.value.trim(),
+                    })
+                  }
+                  placeholder="e.g. en, es-MX"
+                  className={fieldClass}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-xs text-slate-300">Kind</Label>
+                <Select
+                  value={activeTrack.kind}
+                  onValueChange={(kind) => onUpdate(activeTrack.id, { kind })}
+                >
+                  <SelectTrigger className={fieldClass}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TRACK_KINDS.map((kind) => (
+                      <SelectItem key={kind.value} value={kind.value}>
+                        {kind.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-1">
+              <Label className="text-xs text-slate-300">All tracks</Label>
+              {tracks.map((track) => (
+                <div
+                  key={track.id}
+                  className={`flex items-center gap-2 p-1.5 rounded text-sm ${
+                    track.id === activeTrackId
+                      ? "bg-blue-500/20 text-white"
+                      : "text-slate-300"
+                  }`}
+                >
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() =>
+                      onUpdate(track.id, { overlay: !track.overlay })
+                    }
+                    title={track.overlay ? "Hide on video" : "Show on video"}
+                    className="h-7 w-7 p-0 shrink-0 hover:bg-white/10"
+                  >
+                    {track.overlay ? (
+                      <Eye className="w-4 h-4" />
+                    ) : (
+                      <EyeOff className="w-4 h-4 text-slate-500" />
+                    )}
+                  </Button>
+                  <span className="truncate flex-1">
+                    {getTrackLabel(track)}
+                  </span>
+                  <span className="text-xs text-slate-400 shrink-0">
+                    {track.captions.length}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onExport(track.id)}
+                    disabled={track.captions.length === 0}
+                    title="Export track"
+                    className="h-7 w-7 p-0 shrink-0 hover:bg-white/10"
+                  >
+                    <Download className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onDelete(track.id)}
+                    disabled={tracks.length === 1}
+                    title="Delete track"
+                    className="h-7 w-7 p-0 shrink-0 text-red-400 hover:bg-red-500/20"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default TrackManager;
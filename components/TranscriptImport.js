@@ -0,0 +1,215 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Textarea } from "../components/ui/textarea";
+import { FileText, X } from "lucide-react";
+import {
+  DEFAULT_TIME_SETTINGS,
+  formatTimestamp,
+  parseTimestamp,
+  validateTimestamp,
+} from "../utils/timeUtils";
+import {
+  DEFAULT_SEGMENT_OPTIONS,
+  segmentTranscript,
+  timeSegments,
+} from "../utils/transcriptUtils";
+
+const fieldClass =
+  "bg-white/10 border-white/20 text-white placeholder:text-slate-400";
+
+const TranscriptImport = ({
+  duration,
+  getCurrentTime,
+  timeSettings = DEFAULT_TIME_SETTINGS,
+  hasCaptions,
+  onImport,
+  onClose,
+}) => {
+  const [transcript, setTranscript] = useState("");
+  const [options, setOptions] = useState(DEFAULT_SEGMENT_OPTIONS);
+  const [useRange, setUseRange] = useState(false);
+  const [range, setRange] = useState({ start: "", end: "" });
+  const [replace, setReplace] = useState(!hasCaptions);
+  const [forSpotting, setForSpotting] = useState(false);
+
+  const chunks = useMemo(
+    () => segmentTranscript(transcript, options),
+    [transcript, options]
+  );
+
+  const startTime = useRange ? parseTimestamp(range.start, timeSettings) : 0;
+  const endTime = useRange
+    ? range.end
+      ? parseTimestamp(range.end, timeSettings)
+      : duration
+    : duration;
+  const validRange = validateTimestamp(startTime, endTime, duration);
+  const averageLength =
+    chunks.length > 0 ? (endTime - startTime) / chunks.length : 0;
+
+  const updateOption = (property, value) => {
+    setOptions((prev) => ({ ...prev, [property]: Math.max(1, value || 1) }));
+  };
+
+  const handleImport = () => {
+    const captions = timeSegments(chunks, startTime, endTime);
+    // Spread times are only placeholders until each caption is spotted
+    onImport(
+      forSpotting
+        ? captions.map((caption) => ({ ...caption, untimed: true }))
+        : captions,
+      replace
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4 p-4 rounded-lg bg-white/5 border border-white/10"
+    >
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-white flex items-center gap-2">
+          <FileText className="w-4 h-4" />
+          Import transcript
+        </h4>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClose}
+          className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <Textarea
+        value={transcript}
+        onChange={(e) => setTranscript(e.target.value)}
+        placeholder="Paste the transcript here. Blank lines force a new caption."
+        rows={6}
+        className={`${fieldClass} resize-y`}
+      />
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+        <div className="space-y-1">
+          <Label className="text-xs text-slate-300">Chars per line</Label>
+          <Input
+            type="number"
+            min={1}
+            value={options.maxCharsPerLine}
+            onChange={(e) =>
+              updateOption("maxCharsPerLine", Number(e.target.value))
+            }
+            className={`h-8 ${fieldClass}`}
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs text-slate-300">Lines</Label>
+          <Input
+            type="number"
+            min={1}
+            value={options.maxLines}
+            onChange={(e) => updateOption("maxLines", Number(e.target.value))}
+            className={`h-8 ${fieldClass}`}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-xs text-slate-300 h-8">
+          <input
+            type="checkbox"
+            checked={useRange}
+            onChange={(e) => setUseRange(e.target.checked)}
+            className="accent-blue-500"
+          />
+          Limit to a range
+        </label>
+        <label className="flex items-center gap-2 text-xs text-slate-300 h-8">
+          <input
+            type="checkbox"
+            checked={replace}
+            onChange={(e) => setReplace(e.target.checked)}
+            className="accent-blue-500"
+          />
+          Replace existing
+        </label>
+        <label className="flex items-center gap-2 text-xs text-slate-300 h-8 col-span-2">
+          <input
+            type="checkbox"
+            checked={forSpotting}
+            onChange={(e) => setForSpotting(e.target.checked)}
+            className="accent-blue-500"
+          />
+          Leave untimed, to time in spotting mode
+        </label>
+      </div>
+
+      {useRange && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {[
+            ["start", "From", formatTimestamp(0, timeSettings)],
+            ["end", "To", formatTimestamp(duration, timeSettings)],
+          ].map(([field, label, placeholder]) => (
+            <div key={field} className="space-y-1">
+              <Label className="text-xs text-slate-300">{label}</Label>
+              <div className="flex gap-2">
+                <Input
+                  value={range[field]}
+                  onChange={(e) =>
+                    setRange((prev) => ({ ...prev, [field]: e.target.value }))
+                  }
+                  placeholder={placeholder}
+                  className={`h-8 ${fieldClass}`}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    setRange((prev) => ({
+                      ...prev,
+                      [field]: formatTimestamp(getCurrentTime(), timeSettings),
+                    }))
+                  }
+                  className="h-8 bg-white/10 border-white/20 text-white hover:bg-white/20 shrink-0"
+                >
+                  Now
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <p
+          className={`text-xs ${
+            validRange ? "text-slate-400" : "text-red-400"
+          }`}
+        >
+          {!validRange
+            ? "Range must end after it starts and stay within the video"
+            : chunks.length > 0
+            ? `${chunks.length} captions, about ${averageLength.toFixed(
+                1
+              )}s each`
+            : "Nothing to import yet"}
+        </p>
+        <Button
+          size="sm"
+          onClick={handleImport}
+          disabled={!validRange || chunks.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Create {chunks.length} captions
+        </Button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TranscriptImport;
@@ -0,0 +1,335 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Badge } from "../components/ui/badge";
+import { Textarea } from "../components/ui/textarea";
+import { ScrollArea } from "../components/ui/scroll-area";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "../components/ui/select";
+import { Languages, Check, Plus, X } from "lucide-react";
+import { formatTimestamp } from "../utils/timeUtils";
+import {
+  TRANSLATION_STATUSES,
+  buildTranslationRows,
+} from "../utils/translationUtils";
+
+const fieldClass = "h-8 bg-white/10 border-white/20 text-white";
+
+const getTrackLabel = (track) =>
+  track.language ? `${track.name} (${track.language})` : track.name;
+
+// Open on the active track if it is a translation, else the first one
+const getDefaultTargetId = (tracks, activeTrackId) => {
+  const active = tracks.find((track) => track.id === activeTrackId);
+  if (active?.sourceTrackId) return active.id;
+  return tracks.find((track) => track.sourceTrackId)?.id || null;
+};
+
+const TranslationEditor = ({
+  tracks,
+  activeTrackId,
+  timeSettings,
+  onCreateTrack,
+  onUpdateTrack,
+  onTranslate,
+  onLoopCue,
+  onClose,
+}) => {
+  const [targetId, setTargetId] = useState(() =>
+    getDefaultTargetId(tracks, activeTrackId)
+  );
+  const [newSourceId, setNewSourceId] = useState(activeTrackId);
+  const [newLanguage, setNewLanguage] = useState("");
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [loop, setLoop] = useState(true);
+  const textRefs = useRef([]);
+
+  const target = tracks.find((track) => track.id === targetId);
+  const source = target && tracks.find((t) => t.id === target.sourceTrackId);
+
+  const rows = useMemo(
+    () =>
+      source && target
+        ? buildTranslationRows(source.captions, target.captions)
+        : [],
+    [source, target]
+  );
+  const counts = rows.reduce(
+    (result, row) => ({ ...result, [row.status]: result[row.status] + 1 }),
+    { untranslated: 0, draft: 0, approved: 0 }
+  );
+
+  // Stop looping once the panel goes away
+  useEffect(() => () => onLoopCue(null), [onLoopCue]);
+
+  const focusRow = (index) => {
+    const textBox = textRefs.current[index];
+    if (textBox) {
+      textBox.focus();
+      textBox.scrollIntoView({ block: "nearest" });
+    }
+  };
+
+  const handleRowFocus = (index) => {
+    setCurrentIndex(index);
+    onLoopCue(loop ? rows[index].source : null);
+  };
+
+  const toggleLoop = (enabled) => {
+    setLoop(enabled);
+    onLoopCue(enabled && rows[currentIndex] ? rows[currentIndex].source : null);
+  };
+
+  const setApproved = (row, approved) => {
+    if (row.status === "untranslated") return;
+    onTranslate(target.id, row, { status: approved ? "approved" : "draft" });
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (e.altKey && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      focusRow(e.key === "ArrowDown" ? index + 1 : index - 1);
+    } else if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+      e.preventDefault();
+      setApproved(rows[index], true);
+      focusRow(index + 1);
+    }
+  };
+
+  const createTrack = () => {
+    const id = onCreateTrack(newSourceId, newLanguage.trim());
+    setTargetId(id);
+    setNewLanguage("");
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-3 p-4 rounded-lg bg-white/5 border border-white/10"
+    >
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-sm font-medium text-white flex items-center gap-2">
+          <Languages className="w-4 h-4" />
+          Translate
+        </h4>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClose}
+          className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label className="text-xs text-slate-300">Source</Label>
+          <Select
+            value={source?.id || ""}
+            onValueChange={(sourceTrackId) =>
+              onUpdateTrack(target.id, { sourceTrackId })
+            }
+            disabled={!target}
+          >
+            <SelectTrigger className={fieldClass}>
+              <SelectValue placeholder="Choose a source track" />
+            </SelectTrigger>
+            <SelectContent>
+              {tracks
+                .filter((track) => track.id !== targetId)
+                .map((track) => (
+                  <SelectItem key={track.id} value={track.id}>
+                    {getTrackLabel(track)}
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs text-slate-300">Translation</Label>
+          <Select value={targetId || ""} onValueChange={setTargetId}>
+            <SelectTrigger className={fieldClass}>
+              <SelectValue placeholder="Choose a target track" />
+            </SelectTrigger>
+            <SelectContent>
+              {tracks.map((track) => (
+                <SelectItem key={track.id} value={track.id}>
+                  {getTrackLabel(track)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 p-3 rounded-lg bg-white/5">
+        <div className="space-y-1 flex-1 min-w-[8rem]">
+          <Label className="text-xs text-slate-300">New translation of</Label>
+          <Select value={newSourceId} onValueChange={setNewSourceId}>
+            <SelectTrigger className={fieldClass}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {tracks.map((track) => (
+                <SelectItem key={track.id} value={track.id}>
+                  {getTrackLabel(track)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1 w-28">
+          <Label className="text-xs text-slate-300">Language</Label>
+          <Input
+            value={newLanguage}
+            onChange={(e) => setNewLanguage(e.target.value)}
+            placeholder="e.g. es"
+            className={`${fieldClass} placeholder:text-slate-400`}
+          />
+        </div>
+        <Button
+          size="sm"
+          onClick={createTrack}
+          disabled={!tracks.some((track) => track.id === newSourceId)}
+          className="h-8 bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Create
+        </Button>
+      </div>
+
+      {source && target ? (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-400">
+            <span>
+              {counts.approved} approved, {counts.draft} draft,{" "}
+              {counts.untranslated} untranslated
+            </span>
+            <div className="flex gap-3">
+              <label className="flex items-center gap-2 text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={Boolean(target.lockTiming)}
+                  onChange={(e) =>
+                    onUpdateTrack(target.id, { lockTiming: e.target.checked })
+                  }
+                  className="accent-blue-500"
+                />
+                Lock timing to source
+              </label>
+              <label className="flex items-center gap-2 text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={loop}
+                  onChange={(e) => toggleLoop(e.target.checked)}
+                  className="accent-blue-500"
+                />
+                Loop current cue
+              </label>
+            </div>
+          </div>
+
+          <ScrollArea className="h-[420px] pr-3">
+            <div className="space-y-2">
+              {rows.map((row, index) => {
+                const status = TRANSLATION_STATUSES[row.status];
+                return (
+                  <div
+                    key={row.source.id}
+                    className={`p-2 rounded-lg border ${
+                      index === currentIndex
+                        ? "bg-blue-500/10 border-blue-500/40"
+                        : "bg-white/5 border-white/10"
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-2 mb-1">
+                      <span className="text-xs font-mono text-slate-400">
+                        {formatTimestamp(row.source.startTime, timeSettings)}
+                      </span>
+                      <div className="flex items-center gap-1">
+                        <Badge
+                          variant="outline"
+                          className={`text-xs ${status.className}`}
+                        >
+                          {status.label}
+                        </Badge>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() =>
+                            setApproved(row, row.status !== "approved")
+                          }
+                          disabled={row.status === "untranslated"}
+                          title={
+                            row.status === "approved"
+                              ? "Back to draft"
+                              : "Approve (Ctrl+Enter)"
+                          }
+                          className={`h-6 w-6 p-0 hover:bg-white/10 ${
+                            row.status === "approved"
+                              ? "text-green-400"
+                              : "text-slate-400"
+                          }`}
+                        >
+                          <Check className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <p className="text-sm text-slate-300 whitespace-pre-line break-words">
+                        {row.source.text}
+                      </p>
+                      <Textarea
+                        ref={(element) => (textRefs.current[index] = element)}
+                        value={row.target?.text || ""}
+                        onChange={(e) =>
+                          // Editing approved text sends it back for review
+                          onTranslate(target.id, row, {
+                            text: e.target.value,
+                            status: "draft",
+                          })
+                        }
+                        onFocus={() => handleRowFocus(index)}
+                        onKeyDown={(e) => handleKeyDown(e, index)}
+                        rows={2}
+                        className="bg-white/10 border-white/20 text-white text-sm resize-none min-h-0"
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+              {rows.length === 0 && (
+                <p className="text-sm text-slate-400 text-center py-6">
+                  The source track has no captions yet
+                </p>
+              )}
+            </div>
+          </ScrollArea>
+
+          <p className="text-xs text-slate-500">
+            Alt+↓/↑ moves between rows; Ctrl+Enter approves and moves on.
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-slate-400">
+          {target
+            ? "Choose the track this one translates."
+            : "Create a translation track, or pick an existing one."}
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default TranslationEditor;
@@ -15,8 +15,119 @@ import {
   Settings,
   SkipBack,
   SkipForward,
+  StepBack,
+  StepForward,
+  Move,
 } from "lucide-react";
-import { formatTime } from "../utils/timeUtils";
+import { formatTimestamp } from "../utils/timeUtils";
+import {
+  CUSTOM_POSITION,
+  DEFAULT_CAPTION_STYLE,
+  DEFAULT_CUSTOM_PLACEMENT,
+  getCaptionCss,
+} from "../utils/captionStyles";
+import {
+  getWordPieces,
+  getWordProgress,
+  hasWordTimings,
+  wordsMatchText,
+} from "../utils/wordTimingUtils";
+
+// Preset positions stack their captions in a column, so overlapping
+// captions never collide
+const POSITION_CLASSES = {
+  top: "top-4",
+  center: "top-1/2 -translate-y-1/2",
+  bottom: "bottom-20",
+};
+
+// Unknown positions fall back to the bottom, like the WebVTT default
+const getStackPosition = (caption) =>
+  POSITION_CLASSES[caption.style?.position] ? caption.style.position : "bottom";
+
+const getCaptionKey = (caption) => `${caption.trackId}-${caption.id}`;
+
+// Pointer travel before a press on a caption counts as a drag, not a click
+const DRAG_THRESHOLD_PX = 4;
+
+const clampPercent = (value) =>
+  Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+
+// Centre of a dragged caption as percentages of the frame
+const getDragPlacement = (frameElement, e, offsetX, offsetY) => {
+  const frame = frameElement.getBoundingClientRect();
+  return {
+    x: clampPercent(((e.clientX - offsetX - frame.left) / frame.width) * 100),
+    y: clampPercent(((e.clientY - offsetY - frame.top) / frame.height) * 100),
+  };
+};
+
+// Caption text with its words highlighted as they are spoken. Progress only
+// updates every 100ms, so the fill sweep eases between updates.
+const CaptionText = ({ caption, time }) => {
+  const { highlightColor, highlightAnimation } = {
+    ...DEFAULT_CAPTION_STYLE,
+    ...caption.style,
+  };
+  if (
+    highlightAnimation === "none" ||
+    !hasWordTimings(caption) ||
+    !wordsMatchText(caption.words, caption.text)
+  ) {
+    return caption.text;
+  }
+
+  return getWordPieces(caption).map((piece, index) => {
+    if (!piece.word) return <span key={index}>{piece.text}</span>;
+    const progress = getWordProgress(piece.word, time);
+
+    if (highlightAnimation === "fill") {
+      return (
+        <span key={index} className="relative inline-block">
+          {piece.text}
+          <span
+            aria-hidden
+            className="absolute inset-0"
+            style={{
+              color: highlightColor,
+              clipPath: `inset(0 ${100 - progress * 100}% 0 0)`,
+              transition: "clip-path 0.1s linear",
+            }}
+          >
+            {piece.text}
+          </span>
+        </span>
+      );
+    }
+
+    if (highlightAnimation === "pop") {
+      const active = progress > 0 && progress < 1;
+      return (
+        <span
+          key={index}
+          className="inline-block transition-transform duration-100"
+          style={
+            active
+              ? { color: highlightColor, transform: "scale(1.15)" }
+              : undefined
+          }
+        >
+          {piece.text}
+        </span>
+      );
+    }
+
+    return (
+      <span
+        key={index}
+        className="transition-colors duration-100"
+        style={progress > 0 ? { color: highlightColor } : undefined}
+      >
+        {piece.text}
+      </span>
+    );
+  });
+};
 
 const VideoPlayer = ({
   url,
@@ -27,8 +138,13 @@ const VideoPlayer = ({
   onDurationChange,
   onPlayPause,
   onReady,
+  onFrameStep,
+  onCaptionMove,
+  timeSettings,
+  playerRef: externalPlayerRef,
 }) => {
-  const playerRef = useRef(null);
+  const internalPlayerRef = useRef(null);
+  const playerRef = externalPlayerRef || internalPlayerRef;
   const [volume, setVolume] = useState(0.8);
   const [isMuted, setIsMuted] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
@@ -36,6 +152,14 @@ const VideoPlayer = ({
   const [isReady, setIsReady] = useState(false);
   const [showControls, setShowControls] = useState(true);
   const [playbackRate, setPlaybackRate] = useState(1);
+  // Free placement: captions can be dragged to a custom x/y
+  const [isPlacing, setIsPlacing] = useState(false);
+  // Caption being dragged, the grab offset from its centre and where the
+  // press began, in pixels
+  const [drag, setDrag] = useState(null);
+  const [dragPlacement, setDragPlacement] = useState(null);
+  const dragMovedRef = useRef(false);
+  const overlayRef = useRef(null);
 
   // Hide controls after inactivity
   useEffect(() => {
@@ -50,6 +174,43 @@ const VideoPlayer = ({
     return () => clearTimeout(timeout);
   }, [showControls, isPlaying]);
 
+  // Follow the pointer on the window, since a caption leaving its stack for
+  // free placement is remounted mid-drag
+  useEffect(() => {
+    if (!drag) return;
+
+    const { caption, offsetX, offsetY, startX, startY } = drag;
+    const handleMove = (e) => {
+      if (
+        !dragMovedRef.current &&
+        Math.hypot(e.clientX - startX, e.clientY - startY) < DRAG_THRESHOLD_PX
+      ) {
+        return;
+      }
+      dragMovedRef.current = true;
+      setDragPlacement(
+        getDragPlacement(overlayRef.current, e, offsetX, offsetY)
+      );
+    };
+    const handleUp = (e) => {
+      // A click without a real drag leaves the caption where it was
+      if (dragMovedRef.current) {
+        onCaptionMove(
+          caption,
+          getDragPlacement(overlayRef.current, e, offsetX, offsetY)
+        );
+      }
+      setDrag(null);
+    };
+
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+    return () => {
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+    };
+  }, [drag, onCaptionMove]);
+
   // Sync external currentTime with player
   useEffect(() => {
     if (playerRef.current && isReady) {
@@ -58,11 +219,11 @@ const VideoPlayer = ({
         playerRef.current.seekTo(currentTime, "seconds");
       }
     }
-  }, [currentTime, isReady]);
+  }, [currentTime, isReady, playerRef]);
 
-  // Get current active caption
-  const getCurrentCaption = () => {
-    return captions.find(
+  // Captions on screen now; several overlaid tracks can overlap
+  const getCurrentCaptions = () => {
+    return captions.filter(
       (caption) =>
         currentTime >= caption.startTime && currentTime <= caption.endTime
     );
@@ -118,7 +279,64 @@ const VideoPlayer = ({
     }
   };
 
-  const currentCaption = getCurrentCaption();
+  const currentCaptions = getCurrentCaptions();
+  const isCustom = (caption) =>
+    caption.style?.position === CUSTOM_POSITION ||
+    drag?.key === getCaptionKey(caption);
+  const stacks = Object.keys(POSITION_CLASSES).map((position) => ({
+    position,
+    captions: currentCaptions.filter(
+      (caption) => !isCustom(caption) && getStackPosition(caption) === position
+    ),
+  }));
+
+  const handleCaptionPointerDown = (e, caption) => {
+    if (!isPlacing) return;
+    e.preventDefault();
+    const box = e.currentTarget.getBoundingClientRect();
+    const offsetX = e.clientX - (box.left + box.width / 2);
+    const offsetY = e.clientY - (box.top + box.height / 2);
+    dragMovedRef.current = false;
+    setDrag({
+      caption,
+      key: getCaptionKey(caption),
+      offsetX,
+      offsetY,
+      startX: e.clientX,
+      startY: e.clientY,
+    });
+    setDragPlacement(getDragPlacement(overlayRef.current, e, offsetX, offsetY));
+  };
+
+  const renderCaption = (caption, placement) => {
+    const key = getCaptionKey(caption);
+    return (
+      <motion.div
+        key={key}
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 20 }}
+        onPointerDown={(e) => handleCaptionPointerDown(e, caption)}
+        className={`px-4 py-2 rounded-lg max-w-lg whitespace-pre-line ${
+          isPlacing
+            ? "pointer-events-auto cursor-move touch-none select-none outline-dashed outline-1 outline-white/60"
+            : ""
+        } ${drag?.key === key ? "outline-blue-400" : ""}`}
+        style={{
+          ...getCaptionCss(caption.style),
+          ...(placement && {
+            position: "absolute",
+            left: `${placement.x}%`,
+            top: `${placement.y}%`,
+            translate: "-50% -50%",
+          }),
+        }}
+      >
+        <CaptionText caption={caption} time={currentTime} />
+      </motion.div>
+    );
+  };
+
   const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
 
   if (!url) {
@@ -127,7 +345,7 @@ const VideoPlayer = ({
         <div className="text-center text-slate-400">
           <Play className="w-16 h-16 mx-auto mb-4 opacity-50" />
           <p className="text-lg font-medium">No video loaded</p>
-          <p className="text-sm">Enter a video URL to get started</p>
+          <p className="text-sm">Enter a video URL or open a local file</p>
         </div>
       </Card>
     );
@@ -150,6 +368,7 @@ const VideoPlayer = ({
           playing={isPlaying}
           volume={isMuted ? 0 : volume}
           playbackRate={playbackRate}
+          progressInterval={100}
           onProgress={handleProgress}
           onDuration={handleDuration}
           onReady={handleReady}
@@ -177,27 +396,33 @@ const VideoPlayer = ({
       </div>
 
       {/* Caption Overlay */}
-      <AnimatePresence>
-        {currentCaption && (
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: 20 }}
-            className="absolute bottom-20 left-1/2 transform -translate-x-1/2 z-20"
+      <div
+        ref={overlayRef}
+        className="absolute inset-0 z-20 pointer-events-none"
+      >
+        {stacks.map(({ position, captions: stacked }) => (
+          <div
+            key={position}
+            className={`absolute inset-x-4 flex flex-col items-center gap-2 ${POSITION_CLASSES[position]}`}
           >
-            <div
-              className="bg-black/80 text-white px-4 py-2 rounded-lg max-w-lg text-center backdrop-blur-sm"
-              style={{
-                fontSize: currentCaption.style?.fontSize || "16px",
-                color: currentCaption.style?.color || "white",
-                fontWeight: currentCaption.style?.fontWeight || "normal",
-              }}
-            >
-              {currentCaption.text}
-            </div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+            <AnimatePresence>
+              {stacked.map((caption) => renderCaption(caption))}
+            </AnimatePresence>
+          </div>
+        ))}
+        <AnimatePresence>
+          {currentCaptions
+            .filter(isCustom)
+            .map((caption) =>
+              renderCaption(
+                caption,
+                drag?.key === getCaptionKey(caption)
+                  ? dragPlacement
+                  : { ...DEFAULT_CUSTOM_PLACEMENT, ...caption.style }
+              )
+            )}
+        </AnimatePresence>
+      </div>
 
       {/* Video Controls */}
       <AnimatePresence>
@@ -235,27 +460,6 @@ const VideoPlayer = ({
                   step={0.1}
                   className="w-full cursor-pointer"
                 />
-
-                {/* Caption Timeline Markers */}
-                <div className="relative h-2 mt-1">
-                  {captions.map((caption) => {
-                    const startPercent = (caption.startTime / duration) * 100;
-                    const widthPercent =
-                      ((caption.endTime - caption.startTime) / duration) * 100;
-
-                    return (
-                      <div
-                        key={caption.id}
-                        className="absolute h-1 bg-blue-400/60 rounded"
-                        style={{
-                          left: `${startPercent}%`,
-                          width: `${widthPercent}%`,
-                          top: "2px",
-                        }}
-                      />
-                    );
-                  })}
-                </div>
               </div>
 
               {/* Control Buttons */}
@@ -292,6 +496,30 @@ const VideoPlayer = ({
                     <SkipForward className="w-4 h-4" />
                   </Button>
 
+                  {/* Frame Step */}
+                  {onFrameStep && (
+                    <>
+                      <Button
+                        onClick={() => onFrameStep(-1)}
+                        variant="ghost"
+                        size="sm"
+                        title="Previous frame (,)"
+                        className="text-white hover:bg-white/20"
+                      >
+                        <StepBack className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        onClick={() => onFrameStep(1)}
+                        variant="ghost"
+                        size="sm"
+                        title="Next frame (.)"
+                        className="text-white hover:bg-white/20"
+                      >
+                        <StepForward className="w-4 h-4" />
+                      </Button>
+                    </>
+                  )}
+
                   {/* Volume Control */}
                   <div className="flex items-center gap-2">
                     <Button
@@ -319,11 +547,26 @@ const VideoPlayer = ({
 
                   {/* Time Display */}
                   <div className="text-white text-sm font-mono">
-                    {formatTime(currentTime)} / {formatTime(duration)}
+                    {formatTimestamp(currentTime, timeSettings)} /{" "}
+                    {formatTimestamp(duration, timeSettings)}
                   </div>
                 </div>
 
                 <div className="flex items-center gap-2">
+                  {onCaptionMove && (
+                    <Button
+                      onClick={() => setIsPlacing((prev) => !prev)}
+                      variant="ghost"
+                      size="sm"
+                      title="Drag captions to place them"
+                      className={`text-white hover:bg-white/20 ${
+                        isPlacing ? "bg-blue-500/40" : ""
+                      }`}
+                    >
+                      <Move className="w-4 h-4" />
+                    </Button>
+                  )}
+
                   {/* Playback Speed */}
                   <select
                     value={playbackRate}
@@ -1,25 +1,38 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { motion } from "framer-motion";
 import { Input } from "../components/ui/input";
 import { Button } from "../components/ui/button";
 import { Card } from "../components/ui/card";
-import { Link, Check, AlertCircle, Loader2 } from "lucide-react";
+import {
+  Link,
+  Check,
+  AlertCircle,
+  Loader2,
+  FileVideo,
+  FolderOpen,
+} from "lucide-react";
 import { toast } from "sonner";
+import { VIDEO_URL_PATTERNS, getVideoUrlType } from "../utils/videoUrl";
+import { formatFileSize, isVideoFile } from "../utils/fileUtils";
 
-const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
-  const [inputValue, setInputValue] = useState(value);
+// Object URLs mean nothing to the user, so local files show their name instead
+const toInputValue = (url) =>
+  getVideoUrlType(url) === "local" ? "" : url || "";
+
+const VideoUrlInput = ({
+  value,
+  onChange,
+  onValidUrl,
+  onFileSelect,
+  localVideo,
+}) => {
+  const [inputValue, setInputValue] = useState(toInputValue(value));
   const [isValidating, setIsValidating] = useState(false);
   const [isValid, setIsValid] = useState(false);
-
-  // URL validation patterns
-  const urlPatterns = {
-    youtube:
-      /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/)|youtu\.be\/)[\w-]+/,
-    vimeo: /^(https?:\/\/)?(www\.)?vimeo\.com\/\d+/,
-    direct: /^https?:\/\/.*\.(mp4|webm|ogg|mov|avi|mkv)(\?.*)?$/i,
-  };
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
 
   const validateUrl = async (url) => {
     if (!url.trim()) {
@@ -28,11 +41,7 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
     }
 
     // Check if it matches any known pattern
-    const isYoutube = urlPatterns.youtube.test(url);
-    const isVimeo = urlPatterns.vimeo.test(url);
-    const isDirect = urlPatterns.direct.test(url);
-
-    if (isYoutube || isVimeo || isDirect) {
+    if (getVideoUrlType(url)) {
       setIsValid(true);
       return true;
     }
@@ -85,27 +94,48 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
   };
 
   useEffect(() => {
-    setInputValue(value);
+    setInputValue(toInputValue(value));
   }, [value]);
 
+  const selectFile = (file) => {
+    if (!file) return;
+    if (!isVideoFile(file)) {
+      toast.error("Please choose a video file");
+      return;
+    }
+    onFileSelect(file);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    selectFile(e.dataTransfer.files[0]);
+  };
+
   const getUrlTypeIcon = () => {
     if (!inputValue) return <Link className="w-4 h-4" />;
 
-    if (urlPatterns.youtube.test(inputValue)) {
+    if (VIDEO_URL_PATTERNS.youtube.test(inputValue)) {
       return (
         <div className="w-4 h-4 bg-red-500 rounded-sm flex items-center justify-center text-white text-xs font-bold">
           Y
         </div>
       );
     }
-    if (urlPatterns.vimeo.test(inputValue)) {
+    if (VIDEO_URL_PATTERNS.vimeo.test(inputValue)) {
       return (
         <div className="w-4 h-4 bg-blue-500 rounded-sm flex items-center justify-center text-white text-xs font-bold">
           V
         </div>
       );
     }
-    if (urlPatterns.direct.test(inputValue)) {
+    if (VIDEO_URL_PATTERNS.direct.test(inputValue)) {
       return (
         <div className="w-4 h-4 bg-green-500 rounded-sm flex items-center justify-center text-white text-xs font-bold">
           D
@@ -117,7 +147,14 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
   };
 
   return (
-    <Card className="p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10">
+    <Card
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`p-4 lg:p-6 bg-white/5 backdrop-blur-sm border-white/10 transition-colors ${
+        isDragging ? "border-blue-400 bg-blue-500/10" : ""
+      }`}
+    >
       <form onSubmit={handleSubmit} className="space-y-4">
         <div>
           <label className="block text-sm font-medium text-white mb-2">
@@ -165,7 +202,27 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
             )}
           </Button>
 
-          {inputValue && (
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="video/*"
+            onChange={(e) => {
+              selectFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20 sm:w-auto"
+          >
+            <FolderOpen className="w-4 h-4 mr-2" />
+            Open File
+          </Button>
+
+          {(inputValue || localVideo) && (
             <Button
               type="button"
               variant="outline"
@@ -181,6 +238,21 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
           )}
         </div>
 
+        {/* Local File */}
+        {localVideo && getVideoUrlType(value) === "local" && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex items-center gap-2 text-sm text-slate-300"
+          >
+            <FileVideo className="w-4 h-4 text-green-400 shrink-0" />
+            <span className="truncate">{localVideo.name}</span>
+            <span className="text-xs text-slate-400 shrink-0">
+              {formatFileSize(localVideo.size)}
+            </span>
+          </motion.div>
+        )}
+
         {/* URL Format Examples */}
         <div className="text-xs text-slate-400 space-y-1">
           <div className="font-medium text-slate-300">Supported formats:</div>
@@ -188,6 +260,7 @@ const VideoUrlInput = ({ value, onChange, onValidUrl }) => {
             <div>• YouTube: youtube.com/watch?v=... or youtu.be/...</div>
             <div>• Vimeo: vimeo.com/...</div>
             <div>• Direct: .mp4, .webm, .ogg, .mov files</div>
+            <div>• Local: drop a video file here or use Open File</div>
           </div>
         </div>
       </form>
@@ -0,0 +1,63 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+
+// Draws only the visible slice of the waveform, so the canvas stays the size
+// of the viewport however far the timeline is zoomed
+const WaveformCanvas = ({
+  waveform,
+  pixelsPerSecond,
+  scrollLeft,
+  width,
+  height,
+  className,
+  style,
+}) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !waveform || width <= 0 || pixelsPerSecond <= 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const context = canvas.getContext("2d");
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "rgba(148, 163, 184, 0.45)";
+
+    const { peaks, peaksPerSecond } = waveform;
+    const middle = height / 2;
+
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor(
+        ((scrollLeft + x) / pixelsPerSecond) * peaksPerSecond
+      );
+      const to = Math.max(
+        from + 1,
+        Math.floor(((scrollLeft + x + 1) / pixelsPerSecond) * peaksPerSecond)
+      );
+      if (from >= peaks.length) break;
+
+      let max = 0;
+      for (let i = from; i < Math.min(to, peaks.length); i++) {
+        if (peaks[i] > max) max = peaks[i];
+      }
+
+      const barHeight = Math.max(1, max * height * 0.9);
+      context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+    }
+  }, [waveform, pixelsPerSecond, scrollLeft, width, height]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={className}
+      style={{ ...style, width: `${width}px`, height: `${height}px` }}
+    />
+  );
+};
+
+export default WaveformCanvas;
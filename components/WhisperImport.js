@@ -0,0 +1,206 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Mic, Upload, X } from "lucide-react";
+import { toast } from "sonner";
+import {
+  DEFAULT_WHISPER_OPTIONS,
+  buildWhisperCaptions,
+  parseWhisperJson,
+} from "../utils/whisperUtils";
+
+const fieldClass =
+  "bg-white/10 border-white/20 text-white placeholder:text-slate-400";
+
+const MODES = [
+  { value: "segments", label: "Whisper segments" },
+  { value: "words", label: "Re-segment by words" },
+];
+
+const WhisperImport = ({ hasCaptions, onImport, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [options, setOptions] = useState(DEFAULT_WHISPER_OPTIONS);
+  const [replace, setReplace] = useState(!hasCaptions);
+
+  const captions = useMemo(
+    () => (file ? buildWhisperCaptions(file.data, options) : []),
+    [file, options]
+  );
+  const wordCount = file
+    ? file.data.segments.reduce(
+        (total, segment) => total + segment.words.length,
+        0
+      )
+    : 0;
+
+  const handleFile = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = "";
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const data = parseWhisperJson(e.target.result);
+        setFile({ name: selected.name, data });
+        // Re-segmenting needs every segment's words
+        if (!data.hasWords) {
+          setOptions((prev) => ({ ...prev, mode: "segments" }));
+        }
+      } catch (error) {
+        setFile(null);
+        toast.error(error.message || "Error reading Whisper output");
+      }
+    };
+    reader.readAsText(selected);
+  };
+
+  const updateOption = (property, value) => {
+    setOptions((prev) => ({ ...prev, [property]: Math.max(1, value || 1) }));
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="space-y-4 p-4 rounded-lg bg-white/5 border border-white/10"
+    >
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-white flex items-center gap-2">
+          <Mic className="w-4 h-4" />
+          Import Whisper JSON
+        </h4>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClose}
+          className="text-slate-300 hover:bg-white/10 h-8 w-8 p-0"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <div className="relative">
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            className="bg-white/10 border-white/20 text-white hover:bg-white/20"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Choose file
+          </Button>
+        </div>
+        <p className="text-xs text-slate-400 truncate">
+          {file
+            ? `${file.name}: ${file.data.segments.length} segments, ${wordCount} timed words`
+            : "Output of whisper --output_format json, with word timestamps if you have them"}
+        </p>
+      </div>
+
+      <div className="flex gap-2">
+        {MODES.map((mode) => (
+          <Button
+            key={mode.value}
+            variant="outline"
+            size="sm"
+            onClick={() =>
+              setOptions((prev) => ({ ...prev, mode: mode.value }))
+            }
+            disabled={
+              mode.value === "words" && Boolean(file) && !file.data.hasWords
+            }
+            className={`h-8 border-white/20 text-white hover:bg-white/20 ${
+              options.mode === mode.value ? "bg-blue-500/30" : "bg-white/10"
+            }`}
+          >
+            {mode.label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+        <div className="space-y-1">
+          <Label className="text-xs text-slate-300">Chars per line</Label>
+          <Input
+            type="number"
+            min={1}
+            value={options.maxCharsPerLine}
+            onChange={(e) =>
+              updateOption("maxCharsPerLine", Number(e.target.value))
+            }
+            className={`h-8 ${fieldClass}`}
+          />
+        </div>
+        {options.mode === "words" && (
+          <>
+            <div className="space-y-1">
+              <Label className="text-xs text-slate-300">Lines</Label>
+              <Input
+                type="number"
+                min={1}
+                value={options.maxLines}
+                onChange={(e) =>
+                  updateOption("maxLines", Number(e.target.value))
+                }
+                className={`h-8 ${fieldClass}`}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs text-slate-300">Max seconds</Label>
+              <Input
+                type="number"
+                min={1}
+                step={0.5}
+                value={options.maxDuration}
+                onChange={(e) =>
+                  updateOption("maxDuration", Number(e.target.value))
+                }
+                className={`h-8 ${fieldClass}`}
+              />
+            </div>
+          </>
+        )}
+        <label className="flex items-center gap-2 text-xs text-slate-300 h-8">
+          <input
+            type="checkbox"
+            checked={replace}
+            onChange={(e) => setReplace(e.target.checked)}
+            className="accent-blue-500"
+          />
+          Replace existing
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-slate-400">
+          {captions.length > 0
+            ? `${captions.filter((caption) => caption.words).length} of ${
+                captions.length
+              } captions keep word timings`
+            : "Nothing to import yet"}
+        </p>
+        <Button
+          size="sm"
+          onClick={() => onImport(captions, replace, file.data.language)}
+          disabled={captions.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Create {captions.length} captions
+        </Button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default WhisperImport;
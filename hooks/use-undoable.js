@@ -0,0 +1,139 @@
+"use client";
+
+import { useCallback, useReducer } from "react";
+
+const HISTORY_LIMIT = 100;
+// Changes sharing a group key within this window collapse into one step
+const GROUP_WINDOW_MS = 1000;
+
+let count = 0;
+
+function genId() {
+  count = (count + 1) % Number.MAX_SAFE_INTEGER;
+  return count.toString();
+}
+
+// past/future hold the state *before* each recorded change, alongside the
+// label of that change, so the history list can describe every step
+export const reducer = (state, action) => {
+  switch (action.type) {
+    case "APPLY": {
+      const next =
+        typeof action.updater === "function"
+          ? action.updater(state.present)
+          : action.updater;
+
+      if (next === state.present) {
+        return state;
+      }
+
+      const last = state.past[state.past.length - 1];
+      const shouldGroup =
+        action.group &&
+        last &&
+        last.group === action.group &&
+        state.future.length === 0 &&
+        action.timestamp - last.timestamp < GROUP_WINDOW_MS;
+
+      if (shouldGroup) {
+        return {
+          ...state,
+          past: [
+            ...state.past.slice(0, -1),
+            { ...last, timestamp: action.timestamp },
+          ],
+          present: next,
+        };
+      }
+
+      return {
+        past: [
+          ...state.past,
+          {
+            id: genId(),
+            state: state.present,
+            label: action.label,
+            group: action.group,
+            timestamp: action.timestamp,
+          },
+        ].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+      };
+    }
+
+    case "UNDO": {
+      const last = state.past[state.past.length - 1];
+      if (!last) return state;
+
+      return {
+        past: state.past.slice(0, -1),
+        present: last.state,
+        future: [{ ...last, state: state.present }, ...state.future],
+      };
+    }
+
+    case "REDO": {
+      const [next, ...future] = state.future;
+      if (!next) return state;
+
+      return {
+        past: [...state.past, { ...next, state: state.present }],
+        present: next.state,
+        future,
+      };
+    }
+
+    case "RESET":
+      return { past: [], present: action.state, future: [] };
+
+    default:
+      return state;
+  }
+};
+
+export function useUndoable(initialState) {
+  const [history, dispatch] = useReducer(reducer, {
+    past: [],
+    present: initialState,
+    future: [],
+  });
+
+  // Record a change; `updater` is a value or a function of the current value
+  const apply = useCallback((label, updater, { group } = {}) => {
+    dispatch({
+      type: "APPLY",
+      label,
+      updater,
+      group,
+      timestamp: Date.now(),
+    });
+  }, []);
+
+  const undo = useCallback(() => dispatch({ type: "UNDO" }), []);
+  const redo = useCallback(() => dispatch({ type: "REDO" }), []);
+
+  // Replace the value without recording it (e.g. restoring a saved session)
+  const reset = useCallback((state) => dispatch({ type: "RESET", state }), []);
+
+  // Step back or forward until `steps` undos (negative) or redos (positive) ran
+  const travel = useCallback((steps) => {
+    const type = steps < 0 ? "UNDO" : "REDO";
+    for (let i = 0; i < Math.abs(steps); i++) {
+      dispatch({ type });
+    }
+  }, []);
+
+  return {
+    state: history.present,
+    past: history.past,
+    future: history.future,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    apply,
+    undo,
+    redo,
+    reset,
+    travel,
+  };
+}
@@ -0,0 +1,39 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { loadWaveform } from "../utils/waveformUtils";
+
+// Peak data for the audio of `url`; pass enabled: false for sources we can't
+// fetch directly (YouTube, Vimeo...)
+export function useWaveform(url, { enabled = true, cacheKey } = {}) {
+  const [waveform, setWaveform] = useState(null);
+  const [status, setStatus] = useState("idle");
+
+  useEffect(() => {
+    setWaveform(null);
+
+    if (!url || !enabled) {
+      setStatus("idle");
+      return;
+    }
+
+    const controller = new AbortController();
+    setStatus("loading");
+
+    loadWaveform(url, cacheKey || url, controller.signal)
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        setWaveform(result);
+        setStatus("ready");
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Error loading waveform:", error);
+        setStatus("error");
+      });
+
+    return () => controller.abort();
+  }, [url, enabled, cacheKey]);
+
+  return { waveform, status };
+}
@@ -0,0 +1,729 @@
+import {
+  CUSTOM_POSITION,
+  DEFAULT_CAPTION_STYLE,
+  FONT_FAMILY_OPTIONS,
+} from "./captionStyles";
+import { roundToMilliseconds } from "./timeUtils";
+import {
+  getWordPieces,
+  hasWordTimings,
+  wordsMatchText,
+} from "./wordTimingUtils";
+
+// Sizes in the editor are px on a frame about this tall, so ASS sizes are
+// rescaled from the script's PlayResY and written at this resolution
+const REFERENCE_HEIGHT = 360;
+const REFERENCE_WIDTH = 640;
+// Spec default when a script has no PlayRes
+const DEFAULT_PLAY_RES = { x: 384, y: 288 };
+
+export const DEFAULT_STYLE_NAME = "Default";
+
+const STYLE_FORMAT = [
+  "Name",
+  "Fontname",
+  "Fontsize",
+  "PrimaryColour",
+  "SecondaryColour",
+  "OutlineColour",
+  "BackColour",
+  "Bold",
+  "Italic",
+  "Underline",
+  "StrikeOut",
+  "ScaleX",
+  "ScaleY",
+  "Spacing",
+  "Angle",
+  "BorderStyle",
+  "Outline",
+  "Shadow",
+  "Alignment",
+  "MarginL",
+  "MarginR",
+  "MarginV",
+  "Encoding",
+];
+
+const EVENT_FORMAT = [
+  "Layer",
+  "Start",
+  "End",
+  "Style",
+  "Name",
+  "MarginL",
+  "MarginR",
+  "MarginV",
+  "Effect",
+  "Text",
+];
+
+// Numpad alignment (\an): rows bottom to top, columns left to right
+const ROW_POSITIONS = ["bottom", "center", "top"];
+const COLUMN_ALIGNS = ["left", "center", "right"];
+
+const alignmentToStyle = (alignment) => {
+  const value = Number(alignment);
+  if (!(value >= 1 && value <= 9)) return {};
+  return {
+    position: ROW_POSITIONS[Math.floor((value - 1) / 3)],
+    textAlign: COLUMN_ALIGNS[(value - 1) % 3],
+  };
+};
+
+const styleToAlignment = (style) =>
+  Math.max(0, ROW_POSITIONS.indexOf(style.position)) * 3 +
+  Math.max(0, COLUMN_ALIGNS.indexOf(style.textAlign || "center")) +
+  1;
+
+// SSA v4 and the \a tag count 1-3 along the bottom, +4 for the top and +8
+// for the middle
+const legacyToAlignment = (legacy) => {
+  const value = Number(legacy);
+  const column = ((value - 1) & 3) + 1;
+  if (value >= 9) return column + 3;
+  if (value >= 5) return column + 6;
+  return column;
+};
+
+// &HAABBGGRR (or a decimal BGR number in SSA) as { color, opacity }
+const parseAssColor = (value = "") => {
+  const text = value.trim().replace(/&$/, "");
+  const number = /^&H/i.test(text)
+    ? parseInt(text.slice(2), 16)
+    : parseInt(text, 10);
+  if (isNaN(number)) return null;
+
+  const hex = (shift) =>
+    ((number >>> shift) & 255).toString(16).padStart(2, "0");
+  return {
+    color: `#${hex(0)}${hex(8)}${hex(16)}`,
+    opacity: 1 - ((number >>> 24) & 255) / 255,
+  };
+};
+
+// Alpha override tags (\4a&H80&) hold transparency, 00 being opaque
+const formatAssAlpha = (opacity = 1) =>
+  `&H${Math.round((1 - opacity) * 255)
+    .toString(16)
+    .padStart(2, "0")
+    .toUpperCase()}&`;
+
+const formatAssColor = (color = "#000000", opacity = 1, { tag } = {}) => {
+  const hex = /^#[0-9a-f]{6}$/i.test(color) ? color.slice(1) : "000000";
+  const bgr = `${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+  // Override tags carry colour and alpha separately
+  if (tag) return `&H${bgr.toUpperCase()}&`;
+  const alpha = Math.round((1 - opacity) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `&H${alpha}${bgr}`.toUpperCase();
+};
+
+const parseAssTime = (value = "") => {
+  const match = /^\s*(\d+):(\d{1,2}):(\d{1,2})(?:[.:](\d{1,3}))?\s*$/.exec(
+    value
+  );
+  if (!match) return NaN;
+  const [, hours, minutes, seconds, fraction = "0"] = match;
+  return (
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(`0.${fraction}`)
+  );
+};
+
+// H:MM:SS.cc, centiseconds being all ASS keeps
+const formatAssTime = (seconds) => {
+  const centis = Math.round(Math.max(0, seconds) * 100);
+  const hours = Math.floor(centis / 360000);
+  const minutes = Math.floor((centis % 360000) / 6000);
+  const secs = Math.floor((centis % 6000) / 100);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(centis % 100)}`;
+};
+
+// "Arial" <-> "Arial, Helvetica, sans-serif"
+const fontNameToFamily = (name) => {
+  const option = FONT_FAMILY_OPTIONS.find(
+    (font) =>
+      font.value.split(",")[0].replace(/['"]/g, "").trim().toLowerCase() ===
+      name.toLowerCase()
+  );
+  if (option) return option.value;
+  return /\s/.test(name) ? `'${name}', sans-serif` : `${name}, sans-serif`;
+};
+
+const familyToFontName = (family = DEFAULT_CAPTION_STYLE.fontFamily) =>
+  family.split(",")[0].replace(/['"]/g, "").trim();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Margins are whole px at the script's PlayRes: MarginL/R scale with its
+// width, MarginV with its height
+const scaleMargin = (name, value, { scale, xScale }) =>
+  Math.round(value * (name === "MarginV" ? scale : xScale));
+
+// Splits "Key: a,b,c" into an object keyed by a section's Format line. The
+// last field (event Text) keeps any commas.
+const parseFields = (values, format) => {
+  const parts = values.split(",");
+  const fields = {};
+  format.forEach((name, index) => {
+    fields[name] =
+      index === format.length - 1
+        ? parts.slice(index).join(",")
+        : (parts[index] || "").trim();
+  });
+  return fields;
+};
+
+const parseAssStyle = (fields, { scale, xScale, legacy }) => {
+  const style = {};
+  const number = (name) => Number(fields[name]);
+
+  if (fields.Fontname) style.fontFamily = fontNameToFamily(fields.Fontname);
+  if (!isNaN(number("Fontsize"))) {
+    style.fontSize = `${round(number("Fontsize") * scale)}px`;
+  }
+
+  const primary = parseAssColor(fields.PrimaryColour);
+  if (primary) style.color = primary.color;
+
+  if (fields.Bold !== undefined) {
+    style.fontWeight = number("Bold") !== 0 ? "bold" : "normal";
+  }
+  if (fields.Italic !== undefined) {
+    style.fontStyle = number("Italic") !== 0 ? "italic" : "normal";
+  }
+  if (fields.Underline !== undefined) {
+    style.textDecoration = number("Underline") !== 0 ? "underline" : "none";
+  }
+
+  // SSA calls the outline colour TertiaryColour
+  const outline = parseAssColor(fields.OutlineColour || fields.TertiaryColour);
+  const back = parseAssColor(fields.BackColour);
+  if (number("BorderStyle") === 3) {
+    // Opaque box, drawn in the outline colour
+    if (outline) {
+      style.backgroundColor = outline.color;
+      style.backgroundOpacity = Math.round(outline.opacity * 100) / 100;
+    }
+    style.outlineWidth = 0;
+  } else {
+    style.backgroundOpacity = 0;
+    if (outline) style.outlineColor = outline.color;
+    if (!isNaN(number("Outline"))) {
+      style.outlineWidth = round(number("Outline") * scale);
+    }
+  }
+  if (back) {
+    style.shadowColor = back.color;
+    style.shadowOpacity = Math.round(back.opacity * 100) / 100;
+  }
+  if (!isNaN(number("Shadow"))) {
+    style.shadowOffset = round(number("Shadow") * scale);
+  }
+
+  const alignment = legacy
+    ? legacyToAlignment(fields.Alignment)
+    : number("Alignment");
+  Object.assign(style, alignmentToStyle(alignment));
+
+  ["MarginL", "MarginR", "MarginV"].forEach((name) => {
+    if (!isNaN(number(name))) {
+      style[`margin${name.slice(-1)}`] = scaleMargin(name, number(name), {
+        scale,
+        xScale,
+      });
+    }
+  });
+
+  return style;
+};
+
+// Override tags in a leading {...} block: the ones the style model can hold
+// are applied, the rest are kept verbatim in `kept`. On karaoke lines \2c,
+// the colour before a syllable is sung, goes to `karaoke.secondary`.
+const applyOverrideTags = (block, style, { scale, playRes, karaoke }) => {
+  const kept = [];
+  const tags = block.match(/\\[^\\(]*(?:\([^)]*\))?[^\\]*/g) || [];
+
+  tags.forEach((rawTag) => {
+    const tag = rawTag.trim();
+    let match;
+
+    if ((match = /^\\b(\d+)$/.exec(tag))) {
+      const weight = Number(match[1]);
+      style.fontWeight =
+        weight === 0
+          ? "normal"
+          : weight === 1 || weight >= 700
+          ? "bold"
+          : String(weight);
+    } else if ((match = /^\\([iu])([01])$/.exec(tag))) {
+      if (match[1] === "i") {
+        style.fontStyle = match[2] === "1" ? "italic" : "normal";
+      } else {
+        style.textDecoration = match[2] === "1" ? "underline" : "none";
+      }
+    } else if (
+      (match = /^\\(1|2|3|4)?c(&H[0-9a-f]+&?)$/i.exec(tag)) &&
+      (match[1] !== "2" || karaoke)
+    ) {
+      const color = parseAssColor(match[2])?.color;
+      if (match[1] === "2") {
+        karaoke.secondary = color;
+      } else {
+        const property = { 3: "outlineColor", 4: "shadowColor" }[match[1]];
+        style[property || "color"] = color;
+      }
+    } else if ((match = /^\\4a&H([0-9a-f]{1,2})&?$/i.exec(tag))) {
+      style.shadowOpacity =
+        Math.round((1 - parseInt(match[1], 16) / 255) * 100) / 100;
+    } else if ((match = /^\\bord([\d.]+)$/.exec(tag))) {
+      style.outlineWidth = round(Number(match[1]) * scale);
+    } else if ((match = /^\\shad([\d.]+)$/.exec(tag))) {
+      style.shadowOffset = round(Number(match[1]) * scale);
+    } else if ((match = /^\\fn(.+)$/.exec(tag))) {
+      style.fontFamily = fontNameToFamily(match[1].trim());
+    } else if ((match = /^\\fs([\d.]+)$/.exec(tag))) {
+      style.fontSize = `${round(Number(match[1]) * scale)}px`;
+    } else if ((match = /^\\an([1-9])$/.exec(tag))) {
+      Object.assign(style, alignmentToStyle(match[1]));
+    } else if ((match = /^\\a(\d+)$/.exec(tag))) {
+      Object.assign(style, alignmentToStyle(legacyToAlignment(match[1])));
+    } else if (
+      (match = /^\\pos\(\s*([\d.-]+)\s*,\s*([\d.-]+)\s*\)$/.exec(tag))
+    ) {
+      // \pos anchors by \an while the overlay centres custom captions, so
+      // other anchors land slightly off; export writes \an5
+      style.position = CUSTOM_POSITION;
+      style.x = round((Number(match[1]) / playRes.x) * 100);
+      style.y = round((Number(match[2]) / playRes.y) * 100);
+    } else if (tag) {
+      kept.push(tag);
+    }
+  });
+
+  return kept;
+};
+
+const toPlainText = (assText) =>
+  assText
+    .replace(/\{[^}]*\}/g, "")
+    .replace(/\\[Nn]/g, "\n")
+    .replace(/\\h/g, "\u00A0");
+
+const toAssText = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n/g, "\\N")
+    .replace(/\u00A0/g, "\\h");
+
+// Karaoke tags (\k, \kf, \ko, \K) time the syllable after them, in
+// centiseconds
+const KARAOKE_TAG = /\\(kf|ko|k|K)(\d+)/g;
+
+// Word timings from a line's karaoke tags, or null for a line without any.
+// A syllable's time is shared out over its letters, so words take their
+// times from the syllables they span.
+const parseKaraoke = (assText, startTime, endTime) => {
+  const syllables = [{ text: "", start: startTime, end: startTime }];
+  let time = startTime;
+  let fill = false;
+
+  assText.split(/(\{[^}]*\})/).forEach((part) => {
+    if (!part.startsWith("{")) {
+      syllables[syllables.length - 1].text += part;
+      return;
+    }
+    for (const [, kind, centiseconds] of part.matchAll(KARAOKE_TAG)) {
+      const start = time;
+      time += Number(centiseconds) / 100;
+      syllables.push({ text: "", start, end: time });
+      if (kind === "kf" || kind === "K") fill = true;
+    }
+  });
+  if (syllables.length === 1) return null;
+
+  const words = [];
+  let current = null;
+  syllables.forEach(({ text, start, end }) => {
+    const chars = toPlainText(text).split("");
+    const count = chars.filter((char) => !/\s/.test(char)).length;
+    let index = 0;
+    chars.forEach((char) => {
+      if (/\s/.test(char)) {
+        current = null;
+        return;
+      }
+      const charStart = start + ((end - start) * index) / count;
+      index += 1;
+      const charEnd = start + ((end - start) * index) / count;
+      if (!current) {
+        current = { text: "", startTime: charStart, endTime: charEnd };
+        words.push(current);
+      }
+      current.text += char;
+      current.endTime = charEnd;
+    });
+  });
+
+  const clamp = (value) =>
+    roundToMilliseconds(Math.min(endTime, Math.max(startTime, value)));
+  return {
+    words: words.map((word) => ({
+      text: word.text,
+      startTime: clamp(word.startTime),
+      endTime: clamp(word.endTime),
+    })),
+    fill,
+  };
+};
+
+export const parseAss = (content) => {
+  if (typeof content !== "string") {
+    throw new Error("ASS content must be a string");
+  }
+
+  const lines = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  if (!lines.some((line) => /^\s*\[Script Info\]\s*$/i.test(line))) {
+    throw new Error("Missing [Script Info] section");
+  }
+
+  const info = {};
+  const styles = [];
+  const dialogues = [];
+  let section = "";
+  let styleFormat = null;
+  let eventFormat = null;
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(";")) return;
+
+    const header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      section = header[1].toLowerCase();
+      return;
+    }
+
+    const separator = line.indexOf(":");
+    if (separator < 0) return;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).replace(/^ /, "");
+
+    if (section === "script info") {
+      info[key] = value.trim();
+    } else if (section === "v4+ styles" || section === "v4 styles") {
+      if (key === "Format") {
+        styleFormat = value.split(",").map((name) => name.trim());
+      } else if (key === "Style" && styleFormat) {
+        styles.push({
+          fields: parseFields(value, styleFormat),
+          legacy: section === "v4 styles",
+        });
+      }
+    } else if (section === "events") {
+      if (key === "Format") {
+        eventFormat = value.split(",").map((name) => name.trim());
+      } else if (key === "Dialogue" && eventFormat) {
+        dialogues.push(parseFields(value, eventFormat));
+      }
+    }
+  });
+
+  const playRes = {
+    x: Number(info.PlayResX) || DEFAULT_PLAY_RES.x,
+    y: Number(info.PlayResY) || DEFAULT_PLAY_RES.y,
+  };
+  const scale = REFERENCE_HEIGHT / playRes.y;
+  const xScale = REFERENCE_WIDTH / playRes.x;
+
+  const stylePresets = {};
+  // Karaoke colours, for lines that use them
+  const secondaryColors = {};
+  styles.forEach(({ fields, legacy }) => {
+    // Some writers prefix style names with *
+    const name = fields.Name.replace(/^\*/, "");
+    stylePresets[name] = parseAssStyle(fields, { scale, xScale, legacy });
+    secondaryColors[name] = parseAssColor(fields.SecondaryColour)?.color;
+  });
+
+  const captions = dialogues
+    .map((fields) => {
+      const startTime = parseAssTime(fields.Start);
+      const endTime = parseAssTime(fields.End);
+      if (isNaN(startTime) || isNaN(endTime)) {
+        throw new Error(`Invalid ASS timestamp: ${fields.Start}`);
+      }
+
+      const presetName = (fields.Style || DEFAULT_STYLE_NAME).replace(
+        /^\*/,
+        ""
+      );
+      const style = {
+        ...DEFAULT_CAPTION_STYLE,
+        ...stylePresets[presetName],
+        ...(stylePresets[presetName] ? { preset: presetName } : {}),
+      };
+      ["MarginL", "MarginR", "MarginV"].forEach((name) => {
+        // 0 means "use the style's margin"
+        if (Number(fields[name]) > 0) {
+          style[`margin${name.slice(-1)}`] = scaleMargin(
+            name,
+            Number(fields[name]),
+            { scale, xScale }
+          );
+        }
+      });
+
+      // Only a block opening the line can become caption style; tags later
+      // in the line stay in assText
+      const karaoke = parseKaraoke(fields.Text || "", startTime, endTime);
+      let body = (fields.Text || "")
+        .replace(KARAOKE_TAG, "")
+        .replace(/\{\}/g, "");
+      let assTags = [];
+      const leading = /^\{([^}]*)\}/.exec(body);
+      if (leading) {
+        assTags = applyOverrideTags(leading[1], style, {
+          scale,
+          playRes,
+          karaoke,
+        });
+        body = body.slice(leading[0].length);
+      }
+      // Sung syllables switch from the secondary colour to the primary
+      if (karaoke) {
+        style.highlightColor = style.color;
+        style.color =
+          karaoke.secondary || secondaryColors[presetName] || style.color;
+        style.highlightAnimation = karaoke.fill ? "fill" : "color";
+      }
+
+      const text = toPlainText(body);
+      const assEvent = {
+        layer: Number(fields.Layer) || 0,
+        name: fields.Name || "",
+        effect: fields.Effect || "",
+      };
+
+      return {
+        startTime,
+        endTime,
+        text,
+        style,
+        ...(assTags.length > 0 ? { assTags: assTags.join("") } : {}),
+        ...(karaoke?.words.length > 0 ? { words: karaoke.words } : {}),
+        // Inline tags can't live in plain text; keep the original so an
+        // unedited line exports exactly as it came in
+        ...(body !== toAssText(text) ? { assText: body } : {}),
+        ...(assEvent.layer || assEvent.name || assEvent.effect
+          ? { assEvent }
+          : {}),
+      };
+    })
+    .sort((a, b) => a.startTime - b.startTime);
+
+  if (captions.length === 0) {
+    throw new Error("No ASS dialogue lines found");
+  }
+
+  return { captions, stylePresets };
+};
+
+const formatStyleLine = (name, style) => {
+  const full = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const boxed = full.backgroundOpacity > 0;
+  const bool = (value) => (value ? -1 : 0);
+
+  const fields = {
+    Name: name,
+    Fontname: familyToFontName(full.fontFamily),
+    Fontsize: parseFloat(full.fontSize) || 16,
+    PrimaryColour: formatAssColor(full.color),
+    SecondaryColour: formatAssColor("#ff0000"),
+    OutlineColour: boxed
+      ? formatAssColor(full.backgroundColor, full.backgroundOpacity)
+      : formatAssColor(full.outlineColor),
+    BackColour: formatAssColor(full.shadowColor, full.shadowOpacity),
+    Bold: bool(full.fontWeight === "bold"),
+    Italic: bool(full.fontStyle === "italic"),
+    Underline: bool(full.textDecoration === "underline"),
+    StrikeOut: 0,
+    ScaleX: 100,
+    ScaleY: 100,
+    Spacing: 0,
+    Angle: 0,
+    // 3 draws an opaque box; its Outline is the box padding
+    BorderStyle: boxed ? 3 : 1,
+    Outline: boxed ? 2 : Number(full.outlineWidth) || 0,
+    Shadow: Number(full.shadowOffset) || 0,
+    Alignment: styleToAlignment(full),
+    MarginL: full.marginL ?? 10,
+    MarginR: full.marginR ?? 10,
+    MarginV: full.marginV ?? 10,
+    Encoding: 1,
+  };
+
+  return `Style: ${STYLE_FORMAT.map((key) => fields[key]).join(",")}`;
+};
+
+// Override tags for everything in `style` that differs from its preset.
+// Karaoke lines always set both colours: the highlight is what a syllable
+// turns once sung.
+const getOverrideTags = (style, preset, karaoke) => {
+  const tags = [];
+  const full = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const base = { ...DEFAULT_CAPTION_STYLE, ...preset };
+  const changed = (property) =>
+    String(full[property]).toLowerCase() !==
+    String(base[property]).toLowerCase();
+
+  if (full.position === CUSTOM_POSITION) {
+    tags.push(
+      "\\an5",
+      `\\pos(${round((full.x / 100) * REFERENCE_WIDTH)},${round(
+        (full.y / 100) * REFERENCE_HEIGHT
+      )})`
+    );
+  } else if (changed("position") || changed("textAlign")) {
+    tags.push(`\\an${styleToAlignment(full)}`);
+  }
+  if (changed("fontFamily")) {
+    tags.push(`\\fn${familyToFontName(full.fontFamily)}`);
+  }
+  if (changed("fontSize")) tags.push(`\\fs${parseFloat(full.fontSize)}`);
+  if (changed("fontWeight")) {
+    tags.push(
+      full.fontWeight === "bold"
+        ? "\\b1"
+        : full.fontWeight === "normal"
+        ? "\\b0"
+        : `\\b${full.fontWeight}`
+    );
+  }
+  if (changed("fontStyle"))
+    tags.push(`\\i${full.fontStyle === "italic" ? 1 : 0}`);
+  if (changed("textDecoration")) {
+    tags.push(`\\u${full.textDecoration === "underline" ? 1 : 0}`);
+  }
+  if (karaoke) {
+    tags.push(
+      `\\1c${formatAssColor(full.highlightColor, 1, { tag: true })}`,
+      `\\2c${formatAssColor(full.color, 1, { tag: true })}`
+    );
+  } else if (changed("color")) {
+    tags.push(`\\c${formatAssColor(full.color, 1, { tag: true })}`);
+  }
+  if (full.backgroundOpacity === 0 && base.backgroundOpacity === 0) {
+    if (changed("outlineColor")) {
+      tags.push(`\\3c${formatAssColor(full.outlineColor, 1, { tag: true })}`);
+    }
+    if (changed("outlineWidth")) tags.push(`\\bord${full.outlineWidth}`);
+  }
+  if (changed("shadowColor")) {
+    tags.push(`\\4c${formatAssColor(full.shadowColor, 1, { tag: true })}`);
+  }
+  if (changed("shadowOpacity")) {
+    tags.push(`\\4a${formatAssAlpha(full.shadowOpacity)}`);
+  }
+  if (changed("shadowOffset")) tags.push(`\\shad${full.shadowOffset}`);
+
+  return tags;
+};
+
+// A line with a karaoke syllable per word, each running from the word's start
+// to its end, and empty syllables covering the pauses between words
+const toKaraokeText = (caption, tag) => {
+  const centiseconds = (time) => Math.round((time - caption.startTime) * 100);
+  let cursor = 0;
+
+  return getWordPieces(caption)
+    .map(({ text, word }) => {
+      if (!word) return toAssText(text);
+      const start = Math.max(cursor, centiseconds(word.startTime));
+      const end = Math.max(start, centiseconds(word.endTime));
+      const pause = start > cursor ? `{\\${tag}${start - cursor}}` : "";
+      cursor = end;
+      return `${pause}{\\${tag}${end - start}}${toAssText(text)}`;
+    })
+    .join("");
+};
+
+export const serializeAss = (captions, { title, stylePresets = {} } = {}) => {
+  const presets = {
+    [DEFAULT_STYLE_NAME]: DEFAULT_CAPTION_STYLE,
+    ...stylePresets,
+  };
+
+  const dialogues = [...captions]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((caption) => {
+      const style = caption.style || {};
+      const presetName = presets[style.preset]
+        ? style.preset
+        : DEFAULT_STYLE_NAME;
+      const preset = presets[presetName];
+      const { highlightAnimation } = { ...DEFAULT_CAPTION_STYLE, ...style };
+      const karaoke =
+        highlightAnimation !== "none" &&
+        hasWordTimings(caption) &&
+        wordsMatchText(caption.words, caption.text);
+      const tags =
+        getOverrideTags(style, preset, karaoke).join("") +
+        (caption.assTags || "");
+      const body = karaoke
+        ? toKaraokeText(caption, highlightAnimation === "fill" ? "kf" : "k")
+        : caption.assText && toPlainText(caption.assText) === caption.text
+        ? caption.assText
+        : toAssText(caption.text);
+      const margin = (side) => {
+        const value = style[`margin${side}`];
+        return value !== undefined && value !== preset[`margin${side}`]
+          ? value
+          : 0;
+      };
+
+      const fields = {
+        Layer: caption.assEvent?.layer || 0,
+        Start: formatAssTime(caption.startTime),
+        End: formatAssTime(caption.endTime),
+        Style: presetName,
+        Name: caption.assEvent?.name || "",
+        MarginL: margin("L"),
+        MarginR: margin("R"),
+        MarginV: margin("V"),
+        Effect: caption.assEvent?.effect || "",
+        Text: `${tags ? `{${tags}}` : ""}${body}`,
+      };
+      return `Dialogue: ${EVENT_FORMAT.map((key) => fields[key]).join(",")}`;
+    });
+
+  return [
+    "[Script Info]",
+    ...(title ? [`Title: ${title.replace(/\n/g, " ")}`] : []),
+    "ScriptType: v4.00+",
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    `PlayResX: ${REFERENCE_WIDTH}`,
+    `PlayResY: ${REFERENCE_HEIGHT}`,
+    "",
+    "[V4+ Styles]",
+    `Format: ${STYLE_FORMAT.join(", ")}`,
+    ...Object.entries(presets).map(([name, style]) =>
+      formatStyleLine(name, style)
+    ),
+    "",
+    "[Events]",
+    `Format: ${EVENT_FORMAT.join(", ")}`,
+    ...dialogues,
+    "",
+  ].join("\n");
+};
@@ -0,0 +1,186 @@
+import { formatTime, parseTime } from "./timeUtils";
+import { parseSrt, serializeSrt } from "./srtUtils";
+import { parseVtt, serializeVtt } from "./vttUtils";
+import { parseAss, serializeAss } from "./assUtils";
+import { parseTtml, serializeTtml, validateTtml } from "./ttmlUtils";
+import { serializeScc, validateScc } from "./sccUtils";
+
+export const CAPTION_FORMATS = {
+  json: {
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+  },
+  srt: {
+    label: "SubRip (.srt)",
+    extension: "srt",
+    mimeType: "application/x-subrip",
+  },
+  vtt: {
+    label: "WebVTT (.vtt)",
+    extension: "vtt",
+    mimeType: "text/vtt",
+  },
+  ass: {
+    label: "Advanced SubStation Alpha (.ass)",
+    extension: "ass",
+    mimeType: "text/x-ssa",
+    // Older SSA v4 scripts read the same way
+    importExtensions: ["ass", "ssa"],
+  },
+  ttml: {
+    label: "TTML / IMSC1 (.ttml)",
+    extension: "ttml",
+    mimeType: "application/ttml+xml",
+    // DFXP is the older name for the same XML
+    importExtensions: ["ttml", "dfxp", "xml"],
+  },
+  scc: {
+    label: "Scenarist (.scc)",
+    extension: "scc",
+    mimeType: "text/plain",
+    // CEA-608 byte pairs don't map back to styled text well enough to import
+    importExtensions: [],
+  },
+};
+
+const getImportExtensions = (format) =>
+  format.importExtensions || [format.extension];
+
+export const getImportAccept = () =>
+  Object.values(CAPTION_FORMATS)
+    .flatMap(getImportExtensions)
+    .map((extension) => `.${extension}`)
+    .join(",");
+
+export const detectCaptionFormat = (fileName = "", content = "") => {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const byExtension = Object.keys(CAPTION_FORMATS).find((key) =>
+    getImportExtensions(CAPTION_FORMATS[key]).includes(extension)
+  );
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const trimmed = content.replace(/^\uFEFF/, "").trimStart();
+
+  if (/^WEBVTT(?:\s|$)/.test(trimmed)) {
+    return "vtt";
+  }
+  if (/^\[Script Info\]/i.test(trimmed)) {
+    return "ass";
+  }
+  if (/^(?:<\?xml[^>]*>\s*)?<(?:\w+:)?tt[\s>]/.test(trimmed)) {
+    return "ttml";
+  }
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return "json";
+  }
+  if (/\d{1,2}:\d{2}[,.]\d{1,3}\s*-->/.test(trimmed)) {
+    return "srt";
+  }
+
+  return null;
+};
+
+const parseJson = (content) => {
+  const data = JSON.parse(content);
+  if (!data.captions || !Array.isArray(data.captions)) {
+    throw new Error("Invalid caption file format");
+  }
+
+  return {
+    videoUrl: data.videoUrl,
+    captions: data.captions.map(({ startTime, endTime, ...cap }) => ({
+      ...cap,
+      startTime: parseTime(startTime),
+      endTime: parseTime(endTime),
+      style: cap.style || {},
+    })),
+  };
+};
+
+const serializeJson = (captions, { videoUrl, track } = {}) =>
+  JSON.stringify(
+    {
+      videoUrl,
+      track: track && {
+        name: track.name,
+        language: track.language,
+        kind: track.kind,
+      },
+      // Format-specific extras (cue ids, cue settings...) ride along untouched
+      captions: captions.map(
+        ({ id, startTime, endTime, text, style, ...extra }) => ({
+          startTime: formatTime(startTime),
+          endTime: formatTime(endTime),
+          text,
+          style,
+          ...extra,
+        })
+      ),
+      exportedAt: new Date().toISOString(),
+    },
+    null,
+    2
+  );
+
+// Returns { captions, videoUrl?, stylePresets? } with times in seconds, ready to be given ids
+export const parseCaptionFile = (content, format) => {
+  switch (format) {
+    case "json":
+      return parseJson(content);
+    case "srt":
+      return { captions: parseSrt(content) };
+    case "vtt":
+      return { captions: parseVtt(content) };
+    case "ass":
+      return parseAss(content);
+    case "ttml":
+      return { captions: parseTtml(content) };
+    default:
+      throw new Error("Unsupported caption file format");
+  }
+};
+
+export const serializeCaptions = (captions, format, meta = {}) => {
+  switch (format) {
+    case "json":
+      return serializeJson(captions, meta);
+    case "srt":
+      return serializeSrt(captions);
+    case "vtt":
+      return serializeVtt(captions);
+    case "ass":
+      return serializeAss(captions, {
+        title: meta.track?.name,
+        stylePresets: meta.track?.stylePresets,
+      });
+    case "ttml":
+      return serializeTtml(captions, {
+        frameRate: meta.frameRate,
+        language: meta.track?.language,
+        title: meta.track?.name,
+      });
+    case "scc":
+      return serializeScc(captions, { channel: meta.sccChannel });
+    default:
+      throw new Error("Unsupported caption file format");
+  }
+};
+
+// Problems the target format's delivery profile would reject, as
+// { captionId, message }; formats without a profile have none
+export const validateCaptions = (captions, format, meta = {}) => {
+  switch (format) {
+    case "ttml":
+      return validateTtml(captions, {
+        frameRate: meta.frameRate,
+        language: meta.track?.language,
+      });
+    case "scc":
+      return validateScc(captions, { channel: meta.sccChannel });
+    default:
+      return [];
+  }
+};
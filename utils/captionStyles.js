@@ -0,0 +1,215 @@
+export const DEFAULT_CAPTION_STYLE = {
+  fontSize: "16px",
+  color: "#ffffff",
+  fontWeight: "normal",
+  position: "bottom",
+  fontFamily: "Arial, Helvetica, sans-serif",
+  fontStyle: "normal",
+  textDecoration: "none",
+  textAlign: "center",
+  lineHeight: 1.2,
+  // Opacity 0 means no background box
+  backgroundColor: "#000000",
+  backgroundOpacity: 0.8,
+  // Widths and offsets in px; 0 turns the effect off
+  outlineColor: "#000000",
+  outlineWidth: 0,
+  shadowColor: "#000000",
+  shadowOpacity: 1,
+  shadowOffset: 0,
+  // How captions with word timings show the word being spoken
+  highlightColor: "#facc15",
+  highlightAnimation: "color",
+};
+
+export const HIGHLIGHT_ANIMATION_OPTIONS = [
+  { value: "none", label: "Off" },
+  { value: "color", label: "Colour spoken words" },
+  { value: "fill", label: "Karaoke fill" },
+  { value: "pop", label: "Pop current word" },
+];
+
+export const FONT_FAMILY_OPTIONS = [
+  { value: "Arial, Helvetica, sans-serif", label: "Arial" },
+  { value: "Verdana, Geneva, sans-serif", label: "Verdana" },
+  { value: "'Trebuchet MS', sans-serif", label: "Trebuchet MS" },
+  { value: "Georgia, serif", label: "Georgia" },
+  { value: "'Times New Roman', Times, serif", label: "Times New Roman" },
+  { value: "'Courier New', Courier, monospace", label: "Courier New" },
+];
+
+export const TEXT_ALIGN_OPTIONS = [
+  { value: "left", label: "Left" },
+  { value: "center", label: "Center" },
+  { value: "right", label: "Right" },
+];
+
+export const FONT_SIZE_OPTIONS = [
+  { value: "12px", label: "Small (12px)" },
+  { value: "16px", label: "Medium (16px)" },
+  { value: "20px", label: "Large (20px)" },
+  { value: "24px", label: "Extra Large (24px)" },
+  { value: "28px", label: "Huge (28px)" },
+];
+
+export const FONT_WEIGHT_OPTIONS = [
+  { value: "normal", label: "Normal" },
+  { value: "500", label: "Medium" },
+  { value: "600", label: "Semi Bold" },
+  { value: "bold", label: "Bold" },
+];
+
+export const POSITION_OPTIONS = [
+  { value: "top", label: "Top" },
+  { value: "center", label: "Center" },
+  { value: "bottom", label: "Bottom" },
+];
+
+// Free placement: style.x / style.y give the caption's centre as percentages
+// of the frame. Kept out of POSITION_OPTIONS, which bulk restyling offers
+// without coordinates.
+export const CUSTOM_POSITION = "custom";
+export const CUSTOM_POSITION_OPTION = {
+  value: CUSTOM_POSITION,
+  label: "Custom (drag on video)",
+};
+export const DEFAULT_CUSTOM_PLACEMENT = { x: 50, y: 85 };
+
+// Expand #rgb to #rrggbb; anything else comes back unchanged
+const normalizeHex = (hex = "") =>
+  /^#[0-9a-f]{3}$/i.test(hex)
+    ? `#${hex
+        .slice(1)
+        .split("")
+        .map((digit) => digit + digit)
+        .join("")}`
+    : hex;
+
+export const hexToRgba = (hex, alpha = 1) => {
+  const normalized = normalizeHex(hex);
+  if (!/^#[0-9a-f]{6}$/i.test(normalized)) return hex;
+
+  const value = parseInt(normalized.slice(1), 16);
+  return `rgba(${value >> 16}, ${(value >> 8) & 255}, ${
+    value & 255
+  }, ${alpha})`;
+};
+
+const toHex = (channel) =>
+  Math.max(0, Math.min(255, Math.round(channel)))
+    .toString(16)
+    .padStart(2, "0");
+
+// "#rrggbb", "#rgb", "rgb(...)", "rgba(...)" or "transparent" as
+// { color, opacity }; null for anything else
+export const parseCssColor = (value = "") => {
+  const text = value.trim().toLowerCase();
+  if (text === "transparent") {
+    return { color: "#000000", opacity: 0 };
+  }
+
+  const hex = normalizeHex(text);
+  if (/^#[0-9a-f]{6}$/.test(hex)) {
+    return { color: hex, opacity: 1 };
+  }
+
+  const match = /^rgba?\(([^)]*)\)$/.exec(text);
+  if (!match) return null;
+
+  const [r, g, b, a = "1"] = match[1].split(/\s*[,/]\s*|\s+/);
+  const channels = [r, g, b].map(Number);
+  if (channels.some(isNaN)) return null;
+
+  return {
+    color: `#${channels.map(toHex).join("")}`,
+    opacity: a.endsWith("%") ? parseFloat(a) / 100 : Number(a),
+  };
+};
+
+// Outline and drop shadow as text-shadow layers. The outline is four hard
+// shadows, one per diagonal, which WebVTT ::cue rules also accept.
+export const getTextShadows = (style) => {
+  const shadows = [];
+  const outline = Number(style.outlineWidth) || 0;
+  const offset = Number(style.shadowOffset) || 0;
+
+  if (outline > 0) {
+    [
+      [-1, -1],
+      [1, -1],
+      [-1, 1],
+      [1, 1],
+    ].forEach(([dx, dy]) =>
+      shadows.push(
+        `${dx * outline}px ${dy * outline}px 0 ${style.outlineColor}`
+      )
+    );
+  }
+  if (offset > 0) {
+    const color =
+      style.shadowOpacity < 1
+        ? hexToRgba(style.shadowColor, style.shadowOpacity)
+        : style.shadowColor;
+    shadows.push(`${offset}px ${offset}px ${offset}px ${color}`);
+  }
+
+  return shadows;
+};
+
+// Reverse of getTextShadows, for text-shadow values it wrote
+export const parseTextShadows = (value = "") => {
+  const layers = value
+    .split(/,(?![^(]*\))/)
+    .map((layer) =>
+      /^\s*(-?[\d.]+)px\s+(-?[\d.]+)px(?:\s+([\d.]+)(?:px)?)?\s+(.+?)\s*$/.exec(
+        layer
+      )
+    )
+    .filter(Boolean)
+    .map(([, x, y, blur = "0", color]) => ({
+      x: Number(x),
+      y: Number(y),
+      blur: Number(blur),
+      color: parseCssColor(color)?.color || color,
+      opacity: parseCssColor(color)?.opacity ?? 1,
+    }));
+
+  const style = {};
+  const outline = layers.filter(
+    (layer) => layer.blur === 0 && Math.abs(layer.x) === Math.abs(layer.y)
+  );
+  if (outline.length === 4) {
+    style.outlineWidth = Math.abs(outline[0].x);
+    style.outlineColor = outline[0].color;
+  }
+  const shadow = layers.find(
+    (layer) => layer.blur > 0 && layer.x === layer.y && layer.x > 0
+  );
+  if (shadow) {
+    style.shadowOffset = shadow.x;
+    style.shadowColor = shadow.color;
+    if (shadow.opacity < 1) style.shadowOpacity = shadow.opacity;
+  }
+
+  return style;
+};
+
+// Inline CSS for a caption, filling gaps from the defaults so captions saved
+// before a property existed still render
+export const getCaptionCss = (captionStyle = {}) => {
+  const style = { ...DEFAULT_CAPTION_STYLE, ...captionStyle };
+  const shadows = getTextShadows(style);
+
+  return {
+    fontSize: style.fontSize,
+    color: style.color,
+    fontWeight: style.fontWeight,
+    fontFamily: style.fontFamily,
+    fontStyle: style.fontStyle,
+    textDecoration: style.textDecoration,
+    textAlign: style.textAlign,
+    lineHeight: style.lineHeight,
+    backgroundColor: hexToRgba(style.backgroundColor, style.backgroundOpacity),
+    textShadow: shadows.length > 0 ? shadows.join(", ") : undefined,
+  };
+};
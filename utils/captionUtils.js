@@ -0,0 +1,173 @@
+import { roundToMilliseconds, validateTimestamp } from "./timeUtils";
+import { hasWordTimings, partitionWords } from "./wordTimingUtils";
+
+// Both halves of a split must keep at least this much screen time
+export const MIN_SPLIT_SECONDS = 0.1;
+
+export const sortCaptions = (captions) =>
+  [...captions].sort((a, b) => a.startTime - b.startTime);
+
+// Nearest word boundary to `index`, so a split never cuts through a word
+const findWordBreak = (text, index) => {
+  for (let offset = 0; offset <= text.length; offset++) {
+    for (const candidate of [index - offset, index + offset]) {
+      if (/\s/.test(text[candidate] || "")) {
+        return candidate;
+      }
+    }
+  }
+  return -1;
+};
+
+// Text split at `cursor`, or at the word break nearest `ratio` of the way in
+export const splitText = (text, { cursor, ratio = 0.5 } = {}) => {
+  const index =
+    typeof cursor === "number" && cursor > 0 && cursor < text.length
+      ? cursor
+      : findWordBreak(text, Math.round(text.length * ratio));
+
+  if (index <= 0) {
+    return null;
+  }
+
+  const head = text.slice(0, index).trim();
+  const tail = text.slice(index).trim();
+  return head && tail ? [head, tail] : null;
+};
+
+// Split one caption in two at `time`. The text breaks at `cursor` when given,
+// otherwise in proportion to where `time` falls. Returns null when either
+// half would be empty or shorter than MIN_SPLIT_SECONDS.
+export const splitCaption = (caption, { time, cursor, newId }) => {
+  if (
+    time - caption.startTime < MIN_SPLIT_SECONDS ||
+    caption.endTime - time < MIN_SPLIT_SECONDS
+  ) {
+    return null;
+  }
+
+  const ratio =
+    (time - caption.startTime) / (caption.endTime - caption.startTime);
+  const parts = splitText(caption.text, { cursor, ratio });
+  if (!parts) {
+    return null;
+  }
+
+  // Word timings follow their text into each half
+  const [headWords, tailWords] = hasWordTimings(caption)
+    ? partitionWords(caption.words, parts[0].replace(/\s+/g, "").length)
+    : [];
+
+  // The second half is a new cue, so it doesn't inherit the source cue id
+  const { cueId, ...rest } = caption;
+  return [
+    {
+      ...caption,
+      endTime: time,
+      text: parts[0],
+      ...(headWords && { words: headWords }),
+    },
+    {
+      ...rest,
+      id: newId,
+      startTime: time,
+      text: parts[1],
+      ...(tailWords && { words: tailWords }),
+    },
+  ];
+};
+
+// Greedy word wrap to lines of at most `maxChars`; existing line breaks are
+// treated as spaces. A single word longer than the limit gets its own line.
+export const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.join("\n");
+};
+
+// Where the cursor sits, as a time: characters are spread evenly over the cue
+export const getCursorTime = (caption, cursor) =>
+  roundToMilliseconds(
+    caption.startTime +
+      ((caption.endTime - caption.startTime) * cursor) / caption.text.length
+  );
+
+// The caption before or after `id` in time order
+export const getAdjacentCaption = (captions, id, direction) => {
+  const sorted = sortCaptions(captions);
+  const index = sorted.findIndex((caption) => caption.id === id);
+  if (index === -1) return null;
+  return sorted[direction === "previous" ? index - 1 : index + 1] || null;
+};
+
+// Join two captions into the earlier one's id, style and cue settings
+export const mergeCaptions = (first, second) => {
+  const [earlier, later] =
+    first.startTime <= second.startTime ? [first, second] : [second, first];
+  const { words, ...rest } = earlier;
+
+  return {
+    ...rest,
+    endTime: Math.max(earlier.endTime, later.endTime),
+    text: `${earlier.text.trim()} ${later.text.trim()}`.trim(),
+    // Word timings survive only if both halves had them
+    ...(hasWordTimings(earlier) &&
+      hasWordTimings(later) && { words: [...earlier.words, ...later.words] }),
+  };
+};
+
+// Time mappings for the synchronize tool: each returns a function from an
+// old time to the corrected one
+
+export const offsetMapping = (offset) => (time) => time + offset;
+
+// Captions timed against video at `fromFps`, played back at `toFps`
+// (e.g. PAL 25 -> film 23.976 slows everything down by 25/23.976)
+export const stretchMapping = (fromFps, toFps) => (time) =>
+  (time * fromFps) / toFps;
+
+// Line through two (old time, correct time) points; null if the points share
+// an old time and so can't define a slope
+export const twoPointMapping = (first, second) => {
+  if (first.from === second.from) {
+    return null;
+  }
+  const scale = (second.to - first.to) / (second.from - first.from);
+  return (time) => first.to + (time - first.from) * scale;
+};
+
+// Preview of `mapTime` applied to the captions in `ids` (all when null).
+// Results are clamped to the video; those still invalid after clamping are
+// marked so they can be left alone.
+export const retimeCaptions = (
+  captions,
+  mapTime,
+  { ids = null, duration, snap = roundToMilliseconds }
+) =>
+  captions
+    .filter((caption) => !ids || ids.includes(caption.id))
+    .map((caption) => {
+      const rawStart = snap(mapTime(caption.startTime));
+      const rawEnd = snap(mapTime(caption.endTime));
+      const startTime = Math.max(0, rawStart);
+      const endTime = Math.min(duration, rawEnd);
+
+      return {
+        caption,
+        startTime,
+        endTime,
+        clamped: startTime !== rawStart || endTime !== rawEnd,
+        valid: validateTimestamp(startTime, endTime, duration),
+      };
+    });
@@ -0,0 +1,61 @@
+// Thin promise wrapper around the app's IndexedDB database
+const DB_NAME = "video-caption-editor";
+const DB_VERSION = 2;
+
+// Stores use out-of-line keys, e.g. the video URL for cached waveforms or the
+// project id for projects
+const STORES = ["waveforms", "projects"];
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const runRequest = async (store, mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = createRequest(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getAllRecords = (store) =>
+  runRequest(store, "readonly", (objectStore) => objectStore.getAll());
+
+export const getRecord = (store, key) =>
+  runRequest(store, "readonly", (objectStore) => objectStore.get(key));
+
+export const putRecord = (store, key, value) =>
+  runRequest(store, "readwrite", (objectStore) => objectStore.put(value, key));
+
+export const deleteRecord = (store, key) =>
+  runRequest(store, "readwrite", (objectStore) => objectStore.delete(key));
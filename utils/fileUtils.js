@@ -0,0 +1,53 @@
+export const downloadTextFile = (
+  content,
+  fileName,
+  mimeType = "text/plain"
+) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+export const formatFileSize = (bytes) => {
+  if (isNaN(bytes) || bytes < 0) {
+    return "0 B";
+  }
+
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let size = bytes;
+  let unit = 0;
+
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
+
+const VIDEO_FILE_PATTERN = /\.(mp4|webm|ogg|ogv|mov|m4v|mkv|avi)$/i;
+
+export const isVideoFile = (file) => {
+  return Boolean(
+    file &&
+      (file.type.startsWith("video/") || VIDEO_FILE_PATTERN.test(file.name))
+  );
+};
+
+// What we remember about a local file so it can be re-linked after a reload
+export const getFileInfo = (file) => ({
+  name: file.name,
+  size: file.size,
+  type: file.type,
+  lastModified: file.lastModified,
+});
+
+export const isSameFile = (file, info) => {
+  return Boolean(info && file.name === info.name && file.size === info.size);
+};
@@ -0,0 +1,120 @@
+import { sortCaptions } from "./captionUtils";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Global RegExp for a find query, or { error } when a regex doesn't compile.
+// Whole words use Unicode letter classes, since \b only knows ASCII.
+export const buildSearchPattern = (
+  query,
+  { regex = false, matchCase = false, wholeWord = false } = {}
+) => {
+  if (!query) {
+    return { pattern: null };
+  }
+
+  const source = regex ? query : escapeRegExp(query);
+  const flags = `g${matchCase ? "" : "i"}${wholeWord ? "u" : ""}`;
+
+  try {
+    return {
+      pattern: new RegExp(
+        wholeWord
+          ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+          : source,
+        flags
+      ),
+    };
+  } catch (error) {
+    return { pattern: null, error: "Invalid regular expression" };
+  }
+};
+
+// Every non-empty match, in caption time order
+export const findMatches = (captions, pattern) => {
+  if (!pattern) return [];
+
+  return sortCaptions(captions).flatMap((caption) =>
+    Array.from(caption.text.matchAll(pattern))
+      .filter((match) => match[0].length > 0)
+      .map((match) => ({
+        caption,
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+      }))
+  );
+};
+
+// Replacement text for one match: regex mode expands $1-style references,
+// plain mode inserts the replacement as typed. The pattern is re-run at the
+// match's offset in the whole text, so lookarounds, anchors and \b still see
+// their context. Null when the pattern no longer matches there.
+const expandReplacement = (text, match, pattern, replacement, regex) => {
+  if (!regex) return replacement;
+  const sticky = new RegExp(
+    pattern.source,
+    `${pattern.flags.replace("g", "")}y`
+  );
+  sticky.lastIndex = match.start;
+  if (sticky.exec(text)?.[0] !== match.text) return null;
+
+  sticky.lastIndex = match.start;
+  const replaced = text.replace(sticky, replacement);
+  return replaced.slice(
+    match.start,
+    replaced.length - (text.length - match.end)
+  );
+};
+
+// Apply `matches` (all from one caption) to its text, last first so earlier
+// offsets stay valid. Returns the new text and how many matches changed.
+export const replaceMatches = (text, matches, pattern, replacement, regex) =>
+  [...matches]
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, match) => {
+        const expanded = expandReplacement(
+          text,
+          match,
+          pattern,
+          replacement,
+          regex
+        );
+        if (expanded === null || expanded === match.text) return result;
+        return {
+          text:
+            result.text.slice(0, match.start) +
+            expanded +
+            result.text.slice(match.end),
+          count: result.count + 1,
+        };
+      },
+      { text, count: 0 }
+    );
+
+// New text for every caption a replacement changed, as { updates: [{ id,
+// text }], count }
+export const replaceAllMatches = (matches, pattern, replacement, regex) => {
+  const byCaption = new Map();
+  for (const match of matches) {
+    const list = byCaption.get(match.caption) || [];
+    byCaption.set(match.caption, [...list, match]);
+  }
+
+  const updates = [];
+  let count = 0;
+  byCaption.forEach((captionMatches, caption) => {
+    const result = replaceMatches(
+      caption.text,
+      captionMatches,
+      pattern,
+      replacement,
+      regex
+    );
+    if (result.count === 0) return;
+    updates.push({ id: caption.id, text: result.text });
+    count += result.count;
+  });
+
+  return { updates, count };
+};
@@ -0,0 +1,118 @@
+import { deleteRecord, getAllRecords, getRecord, putRecord } from "./db";
+import { DEFAULT_TIME_SETTINGS } from "./timeUtils";
+import { createTrack, migrateProjectTracks } from "./trackUtils";
+
+const PROJECT_STORE = "projects";
+// Single-session autosave used before the project library existed
+const LEGACY_SESSION_KEY = "video-captions";
+const CURRENT_PROJECT_KEY = "video-captions-current-project";
+
+export const DEFAULT_PROJECT_NAME = "Untitled project";
+
+const generateProjectId = () =>
+  `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createProject = async (data = {}) => {
+  const now = new Date().toISOString();
+  const project = {
+    name: DEFAULT_PROJECT_NAME,
+    videoUrl: "",
+    localVideo: null,
+    tracks: [createTrack()],
+    settings: DEFAULT_TIME_SETTINGS,
+    createdAt: now,
+    ...data,
+    id: generateProjectId(),
+    lastModified: data.lastModified || now,
+  };
+
+  await putRecord(PROJECT_STORE, project.id, project);
+  return project;
+};
+
+// Newest first
+export const listProjects = async () => {
+  const projects = await getAllRecords(PROJECT_STORE);
+  return projects
+    .map(migrateProjectTracks)
+    .sort((a, b) => b.lastModified.localeCompare(a.lastModified));
+};
+
+export const getProject = async (id) =>
+  migrateProjectTracks(await getRecord(PROJECT_STORE, id));
+
+export const saveProject = async (project) => {
+  const saved = { ...project, lastModified: new Date().toISOString() };
+  await putRecord(PROJECT_STORE, saved.id, saved);
+  return saved;
+};
+
+export const renameProject = async (id, name) => {
+  const project = await getProject(id);
+  if (!project) {
+    throw new Error("Project not found");
+  }
+  return saveProject({ ...project, name });
+};
+
+export const duplicateProject = async (id) => {
+  const project = await getProject(id);
+  if (!project) {
+    throw new Error("Project not found");
+  }
+
+  const { id: _id, createdAt, lastModified, ...data } = project;
+  return createProject({ ...data, name: `${project.name} (copy)` });
+};
+
+export const deleteProject = (id) => deleteRecord(PROJECT_STORE, id);
+
+export const getCurrentProjectId = () =>
+  localStorage.getItem(CURRENT_PROJECT_KEY);
+
+export const setCurrentProjectId = (id) => {
+  if (id) {
+    localStorage.setItem(CURRENT_PROJECT_KEY, id);
+  } else {
+    localStorage.removeItem(CURRENT_PROJECT_KEY);
+  }
+};
+
+// Moves the old localStorage autosave into the library. Returns the new
+// project, or null when there was nothing to migrate
+export const migrateLegacySession = async () => {
+  const saved = localStorage.getItem(LEGACY_SESSION_KEY);
+  if (!saved) {
+    return null;
+  }
+
+  // Claim the old copy before the async write, so a second call can't import
+  // it again; it is put back if the write fails
+  localStorage.removeItem(LEGACY_SESSION_KEY);
+
+  let data;
+  try {
+    data = JSON.parse(saved);
+  } catch (error) {
+    console.error("Error reading saved session:", error);
+    return null;
+  }
+
+  try {
+    return await createProject({
+      name: data.localVideo?.name || "Restored session",
+      videoUrl: data.videoUrl || "",
+      localVideo: data.localVideo || null,
+      tracks: [
+        createTrack({
+          captions: Array.isArray(data.captions) ? data.captions : [],
+        }),
+      ],
+      settings: { ...DEFAULT_TIME_SETTINGS, ...data.settings },
+      lastModified: data.lastModified,
+    });
+  } catch (error) {
+    localStorage.setItem(LEGACY_SESSION_KEY, saved);
+    throw error;
+  }
+};
@@ -0,0 +1,236 @@
+import { roundToMilliseconds } from "./timeUtils";
+import { sortCaptions, wrapText } from "./captionUtils";
+
+const QC_SETTINGS_KEY = "video-captions-qc-rules";
+
+// Characters a viewer has to read; line breaks don't count
+const countCharacters = (text) => text.replace(/\n/g, "").length;
+
+const getLines = (text) => text.split("\n");
+
+// Move the end later, but no further than `limit`; never shortens
+const extendEnd = (caption, endTime, limit) => {
+  const target = roundToMilliseconds(Math.min(endTime, limit));
+  return target > caption.endTime ? { ...caption, endTime: target } : caption;
+};
+
+// Move the end earlier, as long as the caption keeps some screen time
+const trimEnd = (caption, endTime) => {
+  const target = roundToMilliseconds(endTime);
+  return target > caption.startTime && target < caption.endTime
+    ? { ...caption, endTime: target }
+    : caption;
+};
+
+// Each rule checks one caption against its configured `value`, given the
+// caption after it in time order. `fix` is only set where the change can't
+// lose text or push a caption onto its neighbour.
+export const QC_RULES = [
+  {
+    id: "cps",
+    label: "Reading speed",
+    unit: "chars/sec",
+    defaultValue: 17,
+    step: 0.5,
+    check: (caption, { value }) => {
+      const cps =
+        countCharacters(caption.text) / (caption.endTime - caption.startTime);
+      return cps > value ? `${cps.toFixed(1)} chars/sec` : null;
+    },
+    fixLabel: "Extend",
+    fix: (caption, { value, limit }) => {
+      const needed = countCharacters(caption.text) / value;
+      return extendEnd(caption, caption.startTime + needed, limit);
+    },
+  },
+  {
+    id: "lineLength",
+    label: "Max characters per line",
+    unit: "chars",
+    defaultValue: 42,
+    step: 1,
+    check: (caption, { value }) => {
+      const longest = Math.max(...getLines(caption.text).map((l) => l.length));
+      return longest > value ? `Line of ${longest} characters` : null;
+    },
+    fixLabel: "Re-wrap",
+    fix: (caption, { value }) => ({
+      ...caption,
+      text: wrapText(caption.text, value),
+    }),
+  },
+  {
+    id: "lineCount",
+    label: "Max lines",
+    unit: "lines",
+    defaultValue: 2,
+    step: 1,
+    check: (caption, { value }) => {
+      const count = getLines(caption.text).length;
+      return count > value ? `${count} lines` : null;
+    },
+  },
+  {
+    id: "minDuration",
+    label: "Minimum duration",
+    unit: "sec",
+    defaultValue: 1,
+    step: 0.1,
+    check: (caption, { value }) => {
+      const length = caption.endTime - caption.startTime;
+      return length < value ? `Shown for ${length.toFixed(2)}s` : null;
+    },
+    fixLabel: "Extend",
+    fix: (caption, { value, limit }) =>
+      extendEnd(caption, caption.startTime + value, limit),
+  },
+  {
+    id: "maxDuration",
+    label: "Maximum duration",
+    unit: "sec",
+    defaultValue: 7,
+    step: 0.5,
+    check: (caption, { value }) => {
+      const length = caption.endTime - caption.startTime;
+      return length > value ? `Shown for ${length.toFixed(2)}s` : null;
+    },
+    fixLabel: "Trim",
+    fix: (caption, { value }) => ({
+      ...caption,
+      endTime: roundToMilliseconds(caption.startTime + value),
+    }),
+  },
+  {
+    id: "minGap",
+    label: "Minimum gap",
+    unit: "sec",
+    defaultValue: 0.08,
+    step: 0.01,
+    check: (caption, { value, next }) => {
+      if (!next) return null;
+      const gap = next.startTime - caption.endTime;
+      return gap >= 0 && gap < value
+        ? `${Math.round(gap * 1000)}ms before next caption`
+        : null;
+    },
+    fixLabel: "Trim",
+    fix: (caption, { value, next }) => trimEnd(caption, next.startTime - value),
+  },
+  {
+    id: "overlap",
+    label: "Overlapping captions",
+    check: (caption, { next }) =>
+      next && next.startTime < caption.endTime
+        ? "Overlaps the next caption"
+        : null,
+    fixLabel: "Trim",
+    fix: (caption, { next }) => trimEnd(caption, next.startTime),
+  },
+  {
+    id: "empty",
+    label: "Empty text",
+    check: (caption) => (caption.text.trim() ? null : "No text"),
+    fixLabel: "Delete",
+    fix: () => null,
+  },
+  {
+    id: "beyondDuration",
+    label: "Beyond video duration",
+    check: (caption, { duration }) =>
+      duration > 0 && caption.endTime > duration
+        ? "Ends after the video"
+        : null,
+    fixLabel: "Trim",
+    // Captions that start after the end are left for the editor to decide on
+    fix: (caption, { duration }) => trimEnd(caption, duration),
+  },
+];
+
+export const getQcRule = (id) => QC_RULES.find((rule) => rule.id === id);
+
+export const DEFAULT_QC_SETTINGS = Object.fromEntries(
+  QC_RULES.map((rule) => [rule.id, { enabled: true, value: rule.defaultValue }])
+);
+
+export const loadQcSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QC_SETTINGS_KEY) || "{}");
+    return Object.fromEntries(
+      QC_RULES.map((rule) => [
+        rule.id,
+        { ...DEFAULT_QC_SETTINGS[rule.id], ...saved[rule.id] },
+      ])
+    );
+  } catch (error) {
+    console.error("Error loading QC rules:", error);
+    return DEFAULT_QC_SETTINGS;
+  }
+};
+
+export const saveQcSettings = (settings) => {
+  localStorage.setItem(QC_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// What each rule sees besides the caption itself
+const getRuleContext = (rule, settings, sorted, index, duration) => {
+  const minGap = settings.minGap.enabled ? settings.minGap.value : 0;
+  const next = sorted[index + 1];
+
+  return {
+    value: settings[rule.id].value,
+    next,
+    duration,
+    // Latest end an extension may reach without crowding the next caption
+    limit: Math.min(
+      next ? next.startTime - minGap : Infinity,
+      duration > 0 ? duration : Infinity
+    ),
+  };
+};
+
+// Every enabled rule against every caption, in time order
+export const runQc = (captions, settings, duration) => {
+  const sorted = sortCaptions(captions);
+  const rules = QC_RULES.filter((rule) => settings[rule.id]?.enabled);
+
+  return sorted.flatMap((caption, index) =>
+    rules.flatMap((rule) => {
+      const message = rule.check(
+        caption,
+        getRuleContext(rule, settings, sorted, index, duration)
+      );
+      return message
+        ? [
+            {
+              key: `${rule.id}-${caption.id}`,
+              ruleId: rule.id,
+              caption,
+              message,
+            },
+          ]
+        : [];
+    })
+  );
+};
+
+// Apply one rule's fix to every caption that breaks it. Returns the new
+// captions and how many issues of that rule remain.
+export const fixQcRule = (captions, ruleId, settings, duration) => {
+  const rule = getQcRule(ruleId);
+  const sorted = sortCaptions(captions);
+
+  const fixed = sorted.flatMap((caption, index) => {
+    const context = getRuleContext(rule, settings, sorted, index, duration);
+    if (!rule.check(caption, context)) {
+      return [caption];
+    }
+    const result = rule.fix(caption, context);
+    return result ? [result] : [];
+  });
+
+  const remaining = runQc(fixed, settings, duration).filter(
+    (issue) => issue.ruleId === ruleId
+  ).length;
+
+  return { captions: fixed, remaining };
+};
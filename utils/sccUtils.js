@@ -0,0 +1,385 @@
+import { CUSTOM_POSITION } from "./captionStyles";
+import { wrapText } from "./captionUtils";
+import { formatTimecode, framesToSeconds, secondsToFrames } from "./timeUtils";
+
+// SCC is always 29.97 fps drop-frame
+const SCC_FRAME_RATE = "29.97df";
+const COLUMNS = 32;
+const ROWS = 15;
+// Pop-on captions can use up to four rows
+const MAX_LINES = 4;
+
+// Field 1 data channels. Channel 2 sets bit 3 of every control code's first
+// byte.
+export const SCC_CHANNELS = [
+  { value: "CC1", label: "CC1", offset: 0x00 },
+  { value: "CC2", label: "CC2", offset: 0x08 },
+];
+
+// Miscellaneous control codes, as sent on CC1
+const RCL = [0x14, 0x20]; // Resume caption loading (pop-on)
+const EDM = [0x14, 0x2c]; // Erase displayed memory
+const ENM = [0x14, 0x2e]; // Erase non-displayed memory
+const EOC = [0x14, 0x2f]; // End of caption: swap memories
+const TAB_OFFSET = 0x17; // Tab offsets 1-3 are 0x17 0x21-0x23
+
+// Preamble address codes per row: first byte, and the second byte for white
+// text at column 0 (indent codes add 0x10 plus two per four columns)
+const ROW_PREAMBLES = {
+  1: [0x11, 0x40],
+  2: [0x11, 0x60],
+  3: [0x12, 0x40],
+  4: [0x12, 0x60],
+  5: [0x15, 0x40],
+  6: [0x15, 0x60],
+  7: [0x16, 0x40],
+  8: [0x16, 0x60],
+  9: [0x17, 0x40],
+  10: [0x17, 0x60],
+  11: [0x10, 0x40],
+  12: [0x13, 0x40],
+  13: [0x13, 0x60],
+  14: [0x14, 0x40],
+  15: [0x14, 0x60],
+};
+
+// Basic character set: ASCII except for these slots
+const BASIC_OVERRIDES = {
+  á: 0x2a,
+  é: 0x5c,
+  í: 0x5e,
+  ó: 0x5f,
+  ú: 0x60,
+  ç: 0x7b,
+  "÷": 0x7c,
+  Ñ: 0x7d,
+  ñ: 0x7e,
+  "█": 0x7f,
+};
+const BASIC_REPLACED = new Set(["*", "\\", "^", "_", "`", "{", "|", "}", "~"]);
+
+// Two-byte characters: special (0x11) and extended (0x12, 0x13) sets, each
+// listed from second byte 0x30 or 0x20 up. The special set's transparent
+// space takes a non-breaking space.
+const SPECIAL_CHARACTERS = "®°½¿™¢£♪à\u00A0èâêîôû";
+const EXTENDED_CHARACTERS_1 = "ÁÉÓÚÜü‘¡*’—©℠•“”ÀÂÇÈÊËëÎÏïÔÙùÛ«»";
+const EXTENDED_CHARACTERS_2 = "ÃãÍÌìÒòÕõ{}\\^_|~ÄäÖöß¥¤│ÅåØø┌┐└┘";
+
+const TWO_BYTE_CHARACTERS = new Map([
+  ...Array.from(SPECIAL_CHARACTERS).map((char, index) => [
+    char,
+    { bytes: [0x11, 0x30 + index], extended: false },
+  ]),
+  ...Array.from(EXTENDED_CHARACTERS_1).map((char, index) => [
+    char,
+    { bytes: [0x12, 0x20 + index], extended: true },
+  ]),
+  ...Array.from(EXTENDED_CHARACTERS_2).map((char, index) => [
+    char,
+    { bytes: [0x13, 0x20 + index], extended: true },
+  ]),
+]);
+
+const getBasicCode = (char) => {
+  if (BASIC_OVERRIDES[char] !== undefined) return BASIC_OVERRIDES[char];
+  const code = char.charCodeAt(0);
+  return char.length === 1 &&
+    code >= 0x20 &&
+    code < 0x7f &&
+    !BASIC_REPLACED.has(char)
+    ? code
+    : null;
+};
+
+// Every byte goes out with odd parity in bit 7
+const withParity = (byte) => {
+  let ones = 0;
+  for (let bits = byte; bits; bits >>= 1) ones += bits & 1;
+  return ones % 2 === 0 ? byte | 0x80 : byte;
+};
+
+const toWord = ([first, second]) =>
+  ((withParity(first) << 8) | withParity(second)).toString(16).padStart(4, "0");
+
+// Control codes are sent twice so a decoder that drops one still acts
+const control = ([first, second], channel) => {
+  const word = toWord([first + channel.offset, second]);
+  return [word, word];
+};
+
+// One line of text as words, or the characters that can't be encoded
+const encodeText = (line, channel) => {
+  const words = [];
+  const unsupported = new Set();
+  let pending = null;
+
+  const flush = () => {
+    if (pending !== null) words.push(toWord([pending, 0x00]));
+    pending = null;
+  };
+
+  Array.from(line).forEach((char) => {
+    const basic = getBasicCode(char);
+    if (basic !== null) {
+      if (pending === null) {
+        pending = basic;
+      } else {
+        words.push(toWord([pending, basic]));
+        pending = null;
+      }
+      return;
+    }
+
+    const twoByte = TWO_BYTE_CHARACTERS.get(char);
+    if (!twoByte) {
+      unsupported.add(char);
+      return;
+    }
+    // Extended characters replace the character before them, so older
+    // decoders that skip them still show something close
+    if (twoByte.extended) {
+      const fallback = getBasicCode(char.normalize("NFD")[0]);
+      const basicFallback = fallback !== null ? fallback : 0x20;
+      if (pending === null) {
+        pending = basicFallback;
+      } else {
+        words.push(toWord([pending, basicFallback]));
+        pending = null;
+      }
+    }
+    flush();
+    words.push(...control(twoByte.bytes, channel));
+  });
+  flush();
+
+  return unsupported.size > 0 ? { unsupported } : { words };
+};
+
+// First row of the block, from style.position
+const getFirstRow = (style = {}, lineCount) => {
+  switch (style.position) {
+    case "top":
+      return 1;
+    case "center":
+      return Math.round(8 - (lineCount - 1) / 2);
+    case CUSTOM_POSITION: {
+      const centre = 1 + (Number(style.y) / 100) * (ROWS - 1);
+      return Math.min(
+        ROWS - lineCount + 1,
+        Math.max(1, Math.round(centre - (lineCount - 1) / 2))
+      );
+    }
+    default:
+      return ROWS - lineCount + 1;
+  }
+};
+
+const getColumn = (style = {}, length) => {
+  let column;
+  if (style.position === CUSTOM_POSITION) {
+    column = Math.round((Number(style.x) / 100) * COLUMNS - length / 2);
+  } else if (style.textAlign === "left") {
+    column = 0;
+  } else if (style.textAlign === "right") {
+    column = COLUMNS - length;
+  } else {
+    column = Math.floor((COLUMNS - length) / 2);
+  }
+  return Math.min(COLUMNS - length, Math.max(0, column));
+};
+
+// Preamble for the row and column, with tab offsets for columns between the
+// four-column indent stops
+const positionCodes = (row, column, channel) => {
+  const [first, second] = ROW_PREAMBLES[row];
+  const indent = Math.floor(column / 4);
+  const tabs = column % 4;
+  return [
+    ...control([first, second + (indent > 0 ? 0x10 + indent * 2 : 0)], channel),
+    ...(tabs > 0 ? control([TAB_OFFSET, 0x20 + tabs], channel) : []),
+  ];
+};
+
+// Words that load a caption into non-displayed memory, or the reason it
+// can't be
+const encodeCaption = (caption, channel) => {
+  const lines = caption.text
+    .split("\n")
+    .map((line) => wrapText(line, COLUMNS))
+    .join("\n")
+    .split("\n")
+    .filter((line) => line.trim());
+
+  const longWord = lines.find((line) => line.length > COLUMNS);
+  if (longWord) {
+    return { error: `has a word longer than ${COLUMNS} characters` };
+  }
+  if (lines.length > MAX_LINES) {
+    return {
+      error: `needs ${lines.length} rows at ${COLUMNS} columns (max ${MAX_LINES})`,
+    };
+  }
+  if (lines.length === 0) {
+    return { error: "has no text" };
+  }
+
+  const firstRow = getFirstRow(caption.style, lines.length);
+  const words = [...control(ENM, channel), ...control(RCL, channel)];
+  const unsupported = new Set();
+
+  lines.forEach((line, index) => {
+    const encoded = encodeText(line, channel);
+    if (encoded.unsupported) {
+      encoded.unsupported.forEach((char) => unsupported.add(char));
+      return;
+    }
+    words.push(
+      ...positionCodes(
+        firstRow + index,
+        getColumn(caption.style, line.length),
+        channel
+      ),
+      ...encoded.words
+    );
+  });
+
+  if (unsupported.size > 0) {
+    return {
+      error: `has characters CEA-608 can't show: ${Array.from(unsupported)
+        .map((char) => `"${char}"`)
+        .join(" ")}`,
+    };
+  }
+  return { words };
+};
+
+// Lays every caption out on a frame grid, one word per frame. Each caption
+// loads while the one before is still showing and appears on its EOC at its
+// start frame; loading that can't fit before then makes it late.
+const encodeScc = (captions, { channel: channelValue = "CC1" } = {}) => {
+  const channel =
+    SCC_CHANNELS.find((option) => option.value === channelValue) ||
+    SCC_CHANNELS[0];
+  const frames = new Map();
+  const issues = [];
+  const isFree = (frame) => !frames.has(frame);
+  const nextFree = (frame) => {
+    while (!isFree(frame) || !isFree(frame + 1)) frame += 1;
+    return frame;
+  };
+
+  let previous = null;
+  [...captions]
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach((caption, index) => {
+      const label = `Caption ${index + 1}`;
+      const encoded = encodeCaption(caption, channel);
+      if (encoded.error) {
+        issues.push({
+          captionId: caption.id,
+          message: `${label} ${encoded.error}; it is left out`,
+        });
+        return;
+      }
+
+      const startFrame = secondsToFrames(caption.startTime, SCC_FRAME_RATE);
+      const endFrame = secondsToFrames(caption.endTime, SCC_FRAME_RATE);
+
+      // Pop-on shows one caption at a time
+      if (previous && startFrame < previous.endFrame) {
+        issues.push({
+          captionId: caption.id,
+          message: `${label} overlaps the previous caption, which is cleared when it appears`,
+        });
+      }
+
+      // Clear the previous caption if there is a gap; otherwise this EOC
+      // replaces it
+      if (previous && previous.endFrame + 2 <= startFrame) {
+        const clearFrame = nextFree(previous.endFrame);
+        control(EDM, channel).forEach((word, offset) =>
+          frames.set(clearFrame + offset, word)
+        );
+      }
+
+      // Latest free frames before the start, but after the previous EOC
+      const earliest = previous ? previous.shownFrame + 2 : 0;
+      const slots = [];
+      for (
+        let frame = startFrame - 1;
+        frame >= earliest && slots.length < encoded.words.length;
+        frame -= 1
+      ) {
+        if (isFree(frame)) slots.unshift(frame);
+      }
+      for (
+        let frame = Math.max(startFrame, earliest);
+        slots.length < encoded.words.length;
+        frame += 1
+      ) {
+        if (isFree(frame)) slots.push(frame);
+      }
+      slots.forEach((frame, offset) =>
+        frames.set(frame, encoded.words[offset])
+      );
+
+      const shownFrame = nextFree(
+        Math.max(startFrame, slots[slots.length - 1] + 1)
+      );
+      control(EOC, channel).forEach((word, offset) =>
+        frames.set(shownFrame + offset, word)
+      );
+
+      if (shownFrame > startFrame) {
+        issues.push({
+          captionId: caption.id,
+          message: `${label} follows the previous one too closely to load in time; it shows ${
+            shownFrame - startFrame
+          } frames late`,
+        });
+      }
+      previous = { shownFrame, endFrame: Math.max(endFrame, shownFrame + 2) };
+    });
+
+  if (previous) {
+    const clearFrame = nextFree(previous.endFrame);
+    control(EDM, channel).forEach((word, offset) =>
+      frames.set(clearFrame + offset, word)
+    );
+  }
+
+  // Runs of consecutive frames become one timecoded line each
+  const lines = [];
+  let run = null;
+  Array.from(frames.keys())
+    .sort((a, b) => a - b)
+    .forEach((frame) => {
+      if (run && frame === run.frame + run.words.length) {
+        run.words.push(frames.get(frame));
+      } else {
+        run = { frame, words: [frames.get(frame)] };
+        lines.push(run);
+      }
+    });
+
+  return { lines, issues };
+};
+
+export const serializeScc = (captions, options) => {
+  const { lines } = encodeScc(captions, options);
+  return [
+    "Scenarist_SCC V1.0",
+    ...lines.map(
+      ({ frame, words }) =>
+        `\n${formatTimecode(
+          framesToSeconds(frame, SCC_FRAME_RATE),
+          SCC_FRAME_RATE
+        )}\t${words.join(" ")}`
+    ),
+    "",
+  ].join("\n");
+};
+
+// Captions SCC can't carry, or can't show on time, as { captionId, message }
+export const validateScc = (captions, options) =>
+  encodeScc(captions, options).issues;
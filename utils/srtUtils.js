@@ -0,0 +1,120 @@
+import { formatTime, parseTime } from "./timeUtils";
+
+const SRT_TIMING_PATTERN =
+  /^\s*((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})/;
+
+// Pull the formatting tags we can represent into the caption style and strip
+// the rest, so the overlay never shows raw markup
+const extractSrtStyle = (rawText) => {
+  const style = {};
+  let text = rawText;
+
+  const boldMatch = /^\s*<b>([\s\S]*)<\/b>\s*$/i.exec(text);
+  if (boldMatch) {
+    style.fontWeight = "bold";
+    text = boldMatch[1];
+  }
+
+  const colorMatch =
+    /^\s*<font\s+color\s*=\s*["']?([^"'>\s]+)["']?\s*>([\s\S]*)<\/font>\s*$/i.exec(
+      text
+    );
+  if (colorMatch) {
+    style.color = colorMatch[1];
+    text = colorMatch[2];
+  }
+
+  text = text
+    .replace(/<\/?(b|i|u|s|font)(\s[^>]*)?>/gi, "")
+    .replace(/\{\\[^}]*\}/g, "");
+
+  return { text, style };
+};
+
+export const parseSrt = (content) => {
+  if (typeof content !== "string") {
+    throw new Error("SRT content must be a string");
+  }
+
+  const blocks = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/);
+
+  const captions = [];
+
+  blocks.forEach((block) => {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) =>
+      SRT_TIMING_PATTERN.test(line)
+    );
+
+    if (timingIndex === -1) {
+      return;
+    }
+
+    const [, start, end] = SRT_TIMING_PATTERN.exec(lines[timingIndex]);
+    const startTime = parseTime(start);
+    const endTime = parseTime(end);
+
+    if (isNaN(startTime) || isNaN(endTime)) {
+      throw new Error(`Invalid SRT timestamp: ${lines[timingIndex].trim()}`);
+    }
+
+    const { text, style } = extractSrtStyle(
+      lines
+        .slice(timingIndex + 1)
+        .join("\n")
+        .trim()
+    );
+
+    captions.push({ startTime, endTime, text: text.trim(), style });
+  });
+
+  if (captions.length === 0) {
+    throw new Error("No SRT cues found");
+  }
+
+  return captions.sort((a, b) => a.startTime - b.startTime);
+};
+
+const applySrtStyle = (text, style = {}) => {
+  let result = text;
+
+  if (style.color && style.color.toLowerCase() !== "#ffffff") {
+    result = `<font color="${style.color}">${result}</font>`;
+  }
+  if (style.fontWeight === "bold") {
+    result = `<b>${result}</b>`;
+  }
+
+  return result;
+};
+
+export const serializeSrt = (captions) => {
+  return (
+    [...captions]
+      .sort((a, b) => a.startTime - b.startTime)
+      .map((caption, index) =>
+        [
+          index + 1,
+          `${formatTime(caption.startTime, { separator: "," })} --> ${formatTime(
+            caption.endTime,
+            {
+              separator: ",",
+            }
+          )}`,
+          applySrtStyle(
+            // Blank lines terminate a cue in SRT, so they can't survive export
+            caption.text
+              .replace(/\r\n?/g, "\n")
+              .split("\n")
+              .filter((line) => line.trim())
+              .join("\n"),
+            caption.style
+          ),
+        ].join("\n")
+      )
+      .join("\n\n") + "\n"
+  );
+};
@@ -1,30 +1,48 @@
-export const formatTime = (seconds) => {
-  if (isNaN(seconds) || seconds < 0) {
-    return "00:00:00";
-  }
+// Timestamps are HH:MM:SS.mmm; pass separator "," for SRT-style output or
+// milliseconds: false for a plain HH:MM:SS clock
+export const formatTime = (
+  seconds,
+  { milliseconds = true, separator = "." } = {}
+) => {
+  const totalMs =
+    isNaN(seconds) || seconds < 0 ? 0 : secondsToMilliseconds(seconds);
 
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-
-  return [hours, minutes, secs]
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const clock = [hours, minutes, secs]
     .map((unit) => unit.toString().padStart(2, "0"))
     .join(":");
+
+  if (!milliseconds) {
+    return clock;
+  }
+
+  return `${clock}${separator}${(totalMs % 1000).toString().padStart(3, "0")}`;
 };
 
+// Accepts [[HH:]MM:]SS with an optional .mmm or ,mmm fraction, so whole-second
+// values from older saves still parse. Numbers are taken as seconds.
 export const parseTime = (timeString) => {
+  if (typeof timeString === "number") {
+    return timeString < 0 ? NaN : roundToMilliseconds(timeString);
+  }
+
   if (!timeString || typeof timeString !== "string") {
     return 0;
   }
 
   timeString = timeString.trim();
 
-  const parts = timeString.split(":").map((part) => parseInt(part, 10));
+  const match = /^((?:\d+:){0,2}\d+)(?:[.,](\d{1,3}))?$/.exec(timeString);
 
-  if (parts.some((part) => isNaN(part) || part < 0)) {
+  if (!match) {
     return NaN;
   }
 
+  const parts = match[1].split(":").map((part) => parseInt(part, 10));
+  const millis = match[2] ? parseInt(match[2].padEnd(3, "0"), 10) : 0;
+
   let seconds = 0;
 
   if (parts.length === 1) {
@@ -33,15 +51,13 @@ export const parseTime = (timeString) => {
     const [minutes, secs] = parts;
     if (secs >= 60) return NaN;
     seconds = minutes * 60 + secs;
-  } else if (parts.length === 3) {
+  } else {
     const [hours, minutes, secs] = parts;
     if (minutes >= 60 || secs >= 60) return NaN;
     seconds = hours * 3600 + minutes * 60 + secs;
-  } else {
-    return NaN;
   }
 
-  return seconds;
+  return seconds + millis / 1000;
 };
 
 export const validateTimestamp = (startTime, endTime, duration) => {
@@ -113,6 +129,190 @@ export const roundTime = (seconds) => {
   return Math.round(seconds);
 };
 
+export const roundToMilliseconds = (seconds) => {
+  return Math.round(seconds * 1000) / 1000;
+};
+
 export const getCurrentTimestamp = () => {
   return new Date().toISOString();
 };
+
+// Frame rates offered for timecode. `timebase` is the nominal frame count per
+// timecode second; drop-frame skips frame labels to stay in step with the clock
+export const FRAME_RATES = [
+  {
+    value: "23.976",
+    label: "23.976 fps",
+    fps: 24000 / 1001,
+    timebase: 24,
+    dropFrame: false,
+  },
+  { value: "24", label: "24 fps", fps: 24, timebase: 24, dropFrame: false },
+  { value: "25", label: "25 fps", fps: 25, timebase: 25, dropFrame: false },
+  {
+    value: "29.97",
+    label: "29.97 fps NDF",
+    fps: 30000 / 1001,
+    timebase: 30,
+    dropFrame: false,
+  },
+  {
+    value: "29.97df",
+    label: "29.97 fps DF",
+    fps: 30000 / 1001,
+    timebase: 30,
+    dropFrame: true,
+  },
+  { value: "30", label: "30 fps", fps: 30, timebase: 30, dropFrame: false },
+];
+
+export const DEFAULT_TIME_SETTINGS = {
+  timeFormat: "time",
+  frameRate: "30",
+};
+
+// Tolerance (in frames) for times that were rounded to whole milliseconds
+// and so sit just before the frame boundary they were snapped to
+const FRAME_EPSILON = 0.05;
+
+const TIMECODE_PATTERN = /^(\d+):(\d{1,2}):(\d{1,2})[:;](\d{1,2})$/;
+
+export const getFrameRate = (frameRate) => {
+  return (
+    FRAME_RATES.find((rate) => rate.value === frameRate) ||
+    FRAME_RATES.find((rate) => rate.value === DEFAULT_TIME_SETTINGS.frameRate)
+  );
+};
+
+// Index of the frame on screen at the given time
+export const secondsToFrames = (seconds, frameRate) => {
+  const { fps } = getFrameRate(frameRate);
+  return Math.max(0, Math.floor(seconds * fps + FRAME_EPSILON));
+};
+
+export const framesToSeconds = (frames, frameRate) => {
+  const { fps } = getFrameRate(frameRate);
+  return frames / fps;
+};
+
+export const snapToFrame = (seconds, frameRate) => {
+  if (isNaN(seconds)) {
+    return seconds;
+  }
+  const { fps } = getFrameRate(frameRate);
+  return roundToMilliseconds(Math.round(seconds * fps) / fps);
+};
+
+// Start of the frame `delta` frames away from the one shown at `seconds`
+export const stepFrames = (seconds, frameRate, delta) => {
+  const frame = secondsToFrames(seconds, frameRate) + delta;
+  return framesToSeconds(Math.max(0, frame), frameRate);
+};
+
+// 29.97 DF drops labels ;00 and ;01 every minute except each tenth minute
+const frameToDropFrameLabel = (frame) => {
+  const framesPer10Minutes = 17982;
+  const framesPerMinute = 1798;
+  const tenMinuteBlocks = Math.floor(frame / framesPer10Minutes);
+  const remainder = frame % framesPer10Minutes;
+
+  let label = frame + 18 * tenMinuteBlocks;
+  if (remainder > 1) {
+    label += 2 * Math.floor((remainder - 2) / framesPerMinute);
+  }
+  return label;
+};
+
+export const formatTimecode = (seconds, frameRate) => {
+  const { timebase, dropFrame } = getFrameRate(frameRate);
+  const frames =
+    isNaN(seconds) || seconds < 0 ? 0 : secondsToFrames(seconds, frameRate);
+  const label = dropFrame ? frameToDropFrameLabel(frames) : frames;
+
+  const framesPerHour = timebase * 3600;
+  const hours = Math.floor(label / framesPerHour);
+  const minutes = Math.floor((label % framesPerHour) / (timebase * 60));
+  const secs = Math.floor((label % (timebase * 60)) / timebase);
+  const frameNumber = label % timebase;
+
+  return (
+    [hours, minutes, secs]
+      .map((unit) => unit.toString().padStart(2, "0"))
+      .join(":") +
+    (dropFrame ? ";" : ":") +
+    frameNumber.toString().padStart(2, "0")
+  );
+};
+
+export const parseTimecode = (timecode, frameRate) => {
+  if (!timecode || typeof timecode !== "string") {
+    return NaN;
+  }
+
+  const match = TIMECODE_PATTERN.exec(timecode.trim());
+  if (!match) {
+    return NaN;
+  }
+
+  const { timebase, dropFrame } = getFrameRate(frameRate);
+  const [hours, minutes, secs, frameNumber] = match
+    .slice(1)
+    .map((part) => parseInt(part, 10));
+
+  if (minutes >= 60 || secs >= 60 || frameNumber >= timebase) {
+    return NaN;
+  }
+
+  let frames = ((hours * 60 + minutes) * 60 + secs) * timebase + frameNumber;
+
+  if (dropFrame) {
+    const totalMinutes = hours * 60 + minutes;
+    // Labels that drop-frame skips don't exist
+    if (secs === 0 && frameNumber < 2 && minutes % 10 !== 0) {
+      return NaN;
+    }
+    frames -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+
+  return framesToSeconds(frames, frameRate);
+};
+
+// Display/entry helpers that follow the project's time settings
+export const formatTimestamp = (seconds, settings = DEFAULT_TIME_SETTINGS) => {
+  if (settings.timeFormat === "timecode") {
+    return formatTimecode(seconds, settings.frameRate);
+  }
+  return formatTime(seconds);
+};
+
+// Either notation is accepted; timecode mode snaps the result to a frame
+export const parseTimestamp = (value, settings = DEFAULT_TIME_SETTINGS) => {
+  const seconds =
+    typeof value === "string" && TIMECODE_PATTERN.test(value.trim())
+      ? parseTimecode(value, settings.frameRate)
+      : parseTime(value);
+
+  if (settings.timeFormat === "timecode") {
+    return snapToFrame(seconds, settings.frameRate);
+  }
+  return isNaN(seconds) ? seconds : roundToMilliseconds(seconds);
+};
+
+// Round a computed time the way typed times are: to a frame in timecode mode
+export const snapTimestamp = (seconds, settings = DEFAULT_TIME_SETTINGS) => {
+  if (settings.timeFormat === "timecode") {
+    return snapToFrame(seconds, settings.frameRate);
+  }
+  return roundToMilliseconds(seconds);
+};
+
+// A time with an optional leading sign, e.g. "-1.5" or "+00:00:02.000", for
+// shifting captions by an offset
+export const parseSignedTimestamp = (
+  value,
+  settings = DEFAULT_TIME_SETTINGS
+) => {
+  const trimmed = value.trim();
+  const sign = trimmed.startsWith("-") ? -1 : 1;
+  return sign * parseTimestamp(trimmed.replace(/^[+-]/, ""), settings);
+};
@@ -0,0 +1,69 @@
+// Mirrors the <track kind> values a player understands
+export const TRACK_KINDS = [
+  { value: "subtitles", label: "Subtitles" },
+  { value: "captions", label: "Captions (SDH)" },
+  { value: "descriptions", label: "Descriptions" },
+  { value: "chapters", label: "Chapters" },
+];
+
+export const DEFAULT_TRACK_ID = "track-1";
+
+export const createTrack = (data = {}) => ({
+  id: DEFAULT_TRACK_ID,
+  name: "Main",
+  // BCP 47 tag, e.g. "en" or "es-MX"; blank until the user sets it
+  language: "",
+  kind: "subtitles",
+  // Whether the player overlays this track's captions
+  overlay: true,
+  captions: [],
+  ...data,
+});
+
+export const generateTrackId = () =>
+  `track-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const getTrackKindLabel = (kind) =>
+  TRACK_KINDS.find((option) => option.value === kind)?.label || kind;
+
+// Projects saved before tracks existed hold a single `captions` array; it
+// becomes the default track
+export const migrateProjectTracks = (project) => {
+  if (!project || Array.isArray(project.tracks)) {
+    return project;
+  }
+
+  const { captions, ...rest } = project;
+  return {
+    ...rest,
+    tracks: [
+      createTrack({ captions: Array.isArray(captions) ? captions : [] }),
+    ],
+  };
+};
+
+export const countTrackCaptions = (tracks = []) =>
+  tracks.reduce((total, track) => total + track.captions.length, 0);
+
+// Apply a captions updater (value or function, as useUndoable takes) to one
+// track. Returns `tracks` itself when nothing changed, so no history step is
+// recorded.
+export const updateTrackCaptions = (tracks, trackId, updater) => {
+  const track = tracks.find((t) => t.id === trackId);
+  if (!track) return tracks;
+
+  const captions =
+    typeof updater === "function" ? updater(track.captions) : updater;
+  if (captions === track.captions) return tracks;
+
+  return tracks.map((t) => (t.id === trackId ? { ...t, captions } : t));
+};
+
+// File name stem for a track's export, e.g. "english-en-subtitles"
+export const getTrackFileName = (track) =>
+  [track.name, track.language, track.kind]
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "");
@@ -0,0 +1,87 @@
+import { roundToMilliseconds } from "./timeUtils";
+import { wrapText } from "./captionUtils";
+import { DEFAULT_CAPTION_STYLE } from "./captionStyles";
+
+export const DEFAULT_SEGMENT_OPTIONS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+};
+
+// Sentence ends, then clause punctuation, as preferred break points
+const SENTENCE_BREAK = /(?<=[.!?…]["'”’)]?)\s+/;
+const CLAUSE_BREAK = /(?<=[,;:—–])\s+/;
+
+const fits = (text, { maxCharsPerLine, maxLines }) =>
+  wrapText(text, maxCharsPerLine).split("\n").length <= maxLines;
+
+// Greedily join `pieces` with spaces while the result still fits
+const pack = (pieces, options) => {
+  const chunks = [];
+  let chunk = "";
+
+  for (const piece of pieces) {
+    const candidate = chunk ? `${chunk} ${piece}` : piece;
+    if (chunk && !fits(candidate, options)) {
+      chunks.push(chunk);
+      chunk = piece;
+    } else {
+      chunk = candidate;
+    }
+  }
+  if (chunk) chunks.push(chunk);
+
+  return chunks;
+};
+
+// A sentence too long for one caption breaks at clauses, and a clause too
+// long breaks between words
+const splitSentence = (sentence, options) => {
+  if (fits(sentence, options)) {
+    return [sentence];
+  }
+
+  const clauses = sentence
+    .split(CLAUSE_BREAK)
+    .flatMap((clause) =>
+      fits(clause, options) ? [clause] : pack(clause.split(" "), options)
+    );
+  return pack(clauses, options);
+};
+
+// Caption-sized chunks of a plain transcript, each wrapped to
+// `maxCharsPerLine`. Blank lines always start a new caption.
+export const segmentTranscript = (
+  transcript,
+  options = DEFAULT_SEGMENT_OPTIONS
+) =>
+  transcript
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .flatMap((paragraph) => paragraph.split(SENTENCE_BREAK))
+    .flatMap((sentence) => splitSentence(sentence, options))
+    .map((chunk) => wrapText(chunk, options.maxCharsPerLine));
+
+// Spread chunks back to back over [startTime, endTime], each getting time in
+// proportion to its length. Returns captions shaped like addCaption's.
+export const timeSegments = (chunks, startTime, endTime) => {
+  const weights = chunks.map((chunk) => chunk.replace(/\n/g, "").length);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const span = endTime - startTime;
+  const idBase = Date.now();
+
+  let elapsed = 0;
+  return chunks.map((text, index) => {
+    const start = startTime + (span * elapsed) / total;
+    elapsed += weights[index];
+    const end = startTime + (span * elapsed) / total;
+
+    return {
+      id: `${idBase}-${index}`,
+      startTime: roundToMilliseconds(start),
+      endTime: roundToMilliseconds(end),
+      text,
+      style: { ...DEFAULT_CAPTION_STYLE },
+    };
+  });
+};
@@ -0,0 +1,121 @@
+import { sortCaptions } from "./captionUtils";
+
+// A translation track points at its source with `sourceTrackId`, and each
+// translated caption at its source caption with `sourceId`. Captions carry a
+// `status` of "draft" or "approved"; no text at all reads as untranslated.
+export const TRANSLATION_STATUSES = {
+  untranslated: {
+    label: "Untranslated",
+    className: "bg-slate-500/20 text-slate-300 border-slate-500/30",
+  },
+  draft: {
+    label: "Draft",
+    className: "bg-yellow-500/20 text-yellow-400 border-yellow-500/30",
+  },
+  approved: {
+    label: "Approved",
+    className: "bg-green-500/20 text-green-400 border-green-500/30",
+  },
+};
+
+export const getTranslationStatus = (target) => {
+  if (!target || !target.text.trim()) return "untranslated";
+  return target.status === "approved" ? "approved" : "draft";
+};
+
+const overlapsMidpoint = (caption, source) => {
+  const midpoint = (caption.startTime + caption.endTime) / 2;
+  return midpoint >= source.startTime && midpoint <= source.endTime;
+};
+
+// One row per source caption, in time order, with its translation if any.
+// Captions translated before the tracks were linked pair up by timing.
+export const buildTranslationRows = (sourceCaptions, targetCaptions) => {
+  const sourceIds = new Set(sourceCaptions.map((caption) => caption.id));
+  const linked = new Map();
+  const unlinked = new Set();
+
+  for (const caption of targetCaptions) {
+    if (sourceIds.has(caption.sourceId) && !linked.has(caption.sourceId)) {
+      linked.set(caption.sourceId, caption);
+    } else if (!sourceIds.has(caption.sourceId)) {
+      unlinked.add(caption);
+    }
+  }
+
+  return sortCaptions(sourceCaptions).map((source) => {
+    let target = linked.get(source.id);
+    if (!target) {
+      target = Array.from(unlinked).find((caption) =>
+        overlapsMidpoint(caption, source)
+      );
+      unlinked.delete(target);
+    }
+    return { source, target, status: getTranslationStatus(target) };
+  });
+};
+
+// Write `changes` to the translation of `source`, creating it on first edit
+// with the source's timing and style
+export const setTranslation = (targetCaptions, source, target, changes) => {
+  if (target) {
+    return targetCaptions.map((caption) =>
+      caption.id === target.id
+        ? { ...caption, sourceId: source.id, ...changes }
+        : caption
+    );
+  }
+
+  return sortCaptions([
+    ...targetCaptions,
+    {
+      id: Date.now().toString(),
+      sourceId: source.id,
+      startTime: source.startTime,
+      endTime: source.endTime,
+      text: "",
+      style: { ...source.style },
+      status: "draft",
+      ...changes,
+    },
+  ]);
+};
+
+// Copy source timings onto every translation track with `lockTiming` set.
+// Returns `tracks` itself when everything already lines up.
+export const applyTimingLocks = (tracks) => {
+  let changed = false;
+
+  const next = tracks.map((track) => {
+    const source =
+      track.lockTiming && tracks.find((t) => t.id === track.sourceTrackId);
+    if (!source) return track;
+
+    const sourceById = new Map(
+      source.captions.map((caption) => [caption.id, caption])
+    );
+    let trackChanged = false;
+    const captions = track.captions.map((caption) => {
+      const sourceCaption = sourceById.get(caption.sourceId);
+      if (
+        !sourceCaption ||
+        (sourceCaption.startTime === caption.startTime &&
+          sourceCaption.endTime === caption.endTime)
+      ) {
+        return caption;
+      }
+      trackChanged = true;
+      return {
+        ...caption,
+        startTime: sourceCaption.startTime,
+        endTime: sourceCaption.endTime,
+      };
+    });
+
+    if (!trackChanged) return track;
+    changed = true;
+    return { ...track, captions };
+  });
+
+  return changed ? next : tracks;
+};
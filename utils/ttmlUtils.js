@@ -0,0 +1,618 @@
+import {
+  CUSTOM_POSITION,
+  DEFAULT_CAPTION_STYLE,
+  parseCssColor,
+} from "./captionStyles";
+import { getFrameRate, roundToMilliseconds } from "./timeUtils";
+import { lineToPosition } from "./vttUtils";
+
+const TT_NS = "http://www.w3.org/ns/ttml";
+const TTP_NS = "http://www.w3.org/ns/ttml#parameter";
+const TTS_NS = "http://www.w3.org/ns/ttml#styling";
+const TTM_NS = "http://www.w3.org/ns/ttml#metadata";
+const IMSC1_TEXT_PROFILE = "http://www.w3.org/ns/ttml/profile/imsc1/text";
+
+// Same reference frame as the overlay's px sizes; written as the root extent
+const ROOT_WIDTH = 640;
+const ROOT_HEIGHT = 360;
+// TTML's default cell grid, which `c` units count in
+const DEFAULT_CELL_ROWS = 15;
+// IMSC1 lets at most this many regions show at once
+const MAX_ACTIVE_REGIONS = 4;
+
+// style.position <-> regions, in % of the root container
+const POSITION_REGIONS = {
+  top: { origin: [10, 5], extent: [80, 40], displayAlign: "before" },
+  center: { origin: [10, 30], extent: [80, 40], displayAlign: "center" },
+  bottom: { origin: [10, 55], extent: [80, 40], displayAlign: "after" },
+};
+// Custom placements get a region this size centred on style.x / style.y
+const CUSTOM_REGION_EXTENT = [50, 20];
+
+const NAMED_COLORS = {
+  transparent: "#00000000",
+  black: "#000000",
+  silver: "#c0c0c0",
+  gray: "#808080",
+  white: "#ffffff",
+  maroon: "#800000",
+  red: "#ff0000",
+  purple: "#800080",
+  fuchsia: "#ff00ff",
+  magenta: "#ff00ff",
+  green: "#008000",
+  lime: "#00ff00",
+  olive: "#808000",
+  yellow: "#ffff00",
+  navy: "#000080",
+  blue: "#0000ff",
+  teal: "#008080",
+  aqua: "#00ffff",
+  cyan: "#00ffff",
+};
+
+const TEXT_ALIGN_VALUES = {
+  left: "left",
+  start: "left",
+  center: "center",
+  right: "right",
+  end: "right",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// TTML colours add #rrggbbaa and named colours to the CSS forms
+const parseTtmlColor = (value = "") => {
+  const text = NAMED_COLORS[value.trim().toLowerCase()] || value.trim();
+  const withAlpha = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(text);
+  if (withAlpha) {
+    return {
+      color: `#${withAlpha[1].toLowerCase()}`,
+      opacity: round(parseInt(withAlpha[2], 16) / 255),
+    };
+  }
+  return parseCssColor(text);
+};
+
+const formatTtmlColor = (color, opacity = 1) => {
+  const alpha = Math.round(clamp(opacity, 0, 1) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `${color}${alpha}`;
+};
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Attributes by local name, so TTML, DFXP and their older namespaces all read
+// the same
+const getAttr = (element, name) => {
+  const attribute = Array.from(element.attributes || []).find(
+    (attr) => attr.localName === name
+  );
+  return attribute ? attribute.value.trim() : undefined;
+};
+
+const getChildren = (element, name) =>
+  Array.from(element.children || []).filter(
+    (child) => child.localName === name
+  );
+
+const findDescendants = (element, name) =>
+  Array.from(element.getElementsByTagName("*")).filter(
+    (child) => child.localName === name
+  );
+
+// Frame and tick rates that offset and clock times count in
+const getTimingParameters = (root) => {
+  const [numerator, denominator] = (
+    getAttr(root, "frameRateMultiplier") || "1 1"
+  )
+    .split(/\s+/)
+    .map(Number);
+  const frameRate =
+    (Number(getAttr(root, "frameRate")) || 30) *
+    ((numerator || 1) / (denominator || 1));
+  const subFrameRate = Number(getAttr(root, "subFrameRate")) || 1;
+  const tickRate =
+    Number(getAttr(root, "tickRate")) ||
+    (getAttr(root, "frameRate") ? frameRate * subFrameRate : 1);
+  return { frameRate, subFrameRate, tickRate };
+};
+
+// Clock times (HH:MM:SS.fff or HH:MM:SS:FF) and offset times (12.5s, 300f,
+// 1200t...) in seconds
+export const parseTtmlTime = (value, { frameRate, subFrameRate, tickRate }) => {
+  if (!value) return NaN;
+  const text = value.trim();
+
+  const clock =
+    /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/.exec(text);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    return (
+      Number(hours) * 3600 +
+      Number(minutes) * 60 +
+      Number(seconds) +
+      (fraction ? Number(fraction) : 0) +
+      (frames ? Number(frames) / frameRate : 0) +
+      (subFrames ? Number(subFrames) / subFrameRate / frameRate : 0)
+    );
+  }
+
+  const offset = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(text);
+  if (offset) {
+    const amount = Number(offset[1]);
+    const toSeconds = {
+      h: 3600,
+      m: 60,
+      s: 1,
+      ms: 0.001,
+      f: 1 / frameRate,
+      t: 1 / tickRate,
+    };
+    return amount * toSeconds[offset[2]];
+  }
+
+  return NaN;
+};
+
+// Offsets in whole frames, which stay exact at 29.97 and 23.976 where a
+// clock time's frame field would drift
+const formatTtmlTime = (seconds, frameRate) =>
+  `${Math.round(Math.max(0, seconds) * getFrameRate(frameRate).fps)}f`;
+
+// "1.5c", "24px" or "125%" as px at the reference height
+const parseFontSize = (value, { rootHeight, cellRows }) => {
+  const match = /^([\d.]+)(px|c|%)/.exec(value || "");
+  if (!match) return undefined;
+  const amount = Number(match[1]);
+  const cellHeight = ROOT_HEIGHT / cellRows;
+  const px = {
+    px: amount * (ROOT_HEIGHT / rootHeight),
+    c: amount * cellHeight,
+    "%": (amount / 100) * cellHeight,
+  }[match[2]];
+  return `${round(px)}px`;
+};
+
+const parseStyleAttributes = (element, context) => {
+  const style = {};
+  const read = (name) => getAttr(element, name);
+
+  const color = parseTtmlColor(read("color") || "");
+  if (read("color") && color) style.color = color.color;
+
+  const background = parseTtmlColor(read("backgroundColor") || "");
+  if (read("backgroundColor") && background) {
+    style.backgroundColor = background.color;
+    style.backgroundOpacity = background.opacity;
+  }
+
+  const fontSize = parseFontSize(read("fontSize"), context);
+  if (fontSize) style.fontSize = fontSize;
+
+  if (read("fontWeight")) style.fontWeight = read("fontWeight");
+  if (read("fontStyle")) {
+    style.fontStyle = read("fontStyle") === "normal" ? "normal" : "italic";
+  }
+  if (read("textDecoration")) {
+    style.textDecoration = read("textDecoration").includes("underline")
+      ? "underline"
+      : "none";
+  }
+  if (TEXT_ALIGN_VALUES[read("textAlign")]) {
+    style.textAlign = TEXT_ALIGN_VALUES[read("textAlign")];
+  }
+
+  return style;
+};
+
+// "10% 80%" or "64px 288px" as percentages of the root container
+const parsePair = (value, { rootWidth, rootHeight }) => {
+  const parts = (value || "").split(/\s+/);
+  if (parts.length !== 2) return null;
+  const sizes = [rootWidth, rootHeight];
+  const pair = parts.map((part, index) => {
+    const amount = parseFloat(part);
+    return part.endsWith("px") ? (amount / sizes[index]) * 100 : amount;
+  });
+  return pair.some(isNaN) ? null : pair;
+};
+
+// A region reads as top/center/bottom by where its text sits, or as a custom
+// placement when it is off-centre
+const regionToStyle = (region, context) => {
+  const origin = parsePair(getAttr(region, "origin"), context);
+  const extent = parsePair(getAttr(region, "extent"), context);
+  if (!origin || !extent) return {};
+
+  const displayAlign = getAttr(region, "displayAlign") || "before";
+  const offset = { before: 0.15, center: 0.5, after: 0.85 }[displayAlign];
+  const y = origin[1] + extent[1] * (offset ?? 0.15);
+  const x = origin[0] + extent[0] / 2;
+
+  if (Math.abs(x - 50) > 5) {
+    return { position: CUSTOM_POSITION, x: round(x), y: round(y) };
+  }
+  return { position: lineToPosition(`${y}%`) };
+};
+
+// Text of a <p>, with <br/> as line breaks and XML whitespace collapsed
+const getParagraphText = (element) =>
+  Array.from(element.childNodes)
+    .map((node) => {
+      if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, " ");
+      if (node.nodeType !== 1) return "";
+      if (node.localName === "br") return "\n";
+      return getParagraphText(node);
+    })
+    .join("")
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .trim();
+
+export const parseTtml = (content) => {
+  if (typeof content !== "string") {
+    throw new Error("TTML content must be a string");
+  }
+
+  const document = new DOMParser().parseFromString(
+    content.replace(/^\uFEFF/, ""),
+    "application/xml"
+  );
+  if (document.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("TTML file is not well-formed XML");
+  }
+  const root = document.documentElement;
+  if (root.localName !== "tt") {
+    throw new Error("Missing <tt> root element");
+  }
+
+  const timing = getTimingParameters(root);
+  const rootExtent = (getAttr(root, "extent") || "").split(/\s+/);
+  const context = {
+    rootWidth: /px$/.test(rootExtent[0])
+      ? parseFloat(rootExtent[0])
+      : ROOT_WIDTH,
+    rootHeight: /px$/.test(rootExtent[1])
+      ? parseFloat(rootExtent[1])
+      : ROOT_HEIGHT,
+    cellRows:
+      Number((getAttr(root, "cellResolution") || "").split(/\s+/)[1]) ||
+      DEFAULT_CELL_ROWS,
+  };
+
+  // Named styles, which may chain through their own `style` references
+  const styleElements = new Map(
+    findDescendants(root, "style")
+      .filter((element) => element.parentNode.localName === "styling")
+      .map((element) => [getAttr(element, "id"), element])
+  );
+  const resolveStyleRefs = (refs = "", seen = new Set()) =>
+    refs
+      .split(/\s+/)
+      .filter((id) => styleElements.has(id) && !seen.has(id))
+      .reduce((style, id) => {
+        seen.add(id);
+        const element = styleElements.get(id);
+        return {
+          ...style,
+          ...resolveStyleRefs(getAttr(element, "style"), seen),
+          ...parseStyleAttributes(element, context),
+        };
+      }, {});
+  const getElementStyle = (element) => ({
+    ...resolveStyleRefs(getAttr(element, "style")),
+    ...parseStyleAttributes(element, context),
+  });
+
+  const regions = new Map(
+    findDescendants(root, "region").map((region) => [
+      getAttr(region, "id"),
+      {
+        // Regions carry text styles too, inline or as nested <style>s
+        ...getChildren(region, "style").reduce(
+          (style, element) => ({
+            ...style,
+            ...parseStyleAttributes(element, context),
+          }),
+          getElementStyle(region)
+        ),
+        ...regionToStyle(region, context),
+      },
+    ])
+  );
+
+  const captions = [];
+  // Walk body > div > p, inheriting begin offsets, styles and regions
+  const visit = (element, inherited) => {
+    const begin = parseTtmlTime(getAttr(element, "begin"), timing);
+    const start = inherited.start + (isNaN(begin) ? 0 : begin);
+    const regionId = getAttr(element, "region") || inherited.regionId;
+    const style = { ...inherited.style, ...getElementStyle(element) };
+
+    if (element.localName !== "p") {
+      Array.from(element.children)
+        .filter((child) => ["div", "p"].includes(child.localName))
+        .forEach((child) => visit(child, { start, regionId, style }));
+      return;
+    }
+
+    // begin and end both count from the parent's begin
+    let startTime = start;
+    const end = parseTtmlTime(getAttr(element, "end"), timing);
+    let endTime = isNaN(end)
+      ? startTime + parseTtmlTime(getAttr(element, "dur"), timing)
+      : inherited.start + end;
+
+    // Some DFXP files only time the spans inside a paragraph
+    if (isNaN(begin)) {
+      const spans = findDescendants(element, "span")
+        .map((span) => ({
+          begin: parseTtmlTime(getAttr(span, "begin"), timing),
+          end: parseTtmlTime(getAttr(span, "end"), timing),
+        }))
+        .filter((span) => !isNaN(span.begin) && !isNaN(span.end));
+      if (spans.length > 0) {
+        startTime =
+          inherited.start + Math.min(...spans.map((span) => span.begin));
+        endTime = inherited.start + Math.max(...spans.map((span) => span.end));
+      }
+    }
+
+    if (isNaN(endTime) || endTime <= startTime) {
+      throw new Error(
+        `Invalid TTML timing: ${getAttr(element, "begin") || "?"} to ${
+          getAttr(element, "end") || getAttr(element, "dur") || "?"
+        }`
+      );
+    }
+
+    // A span wrapping the whole paragraph styles the caption
+    const spans = getChildren(element, "span");
+    const spanStyle =
+      spans.length === 1 &&
+      getParagraphText(spans[0]) === getParagraphText(element)
+        ? getElementStyle(spans[0])
+        : {};
+
+    const text = getParagraphText(element);
+    if (!text) return;
+
+    captions.push({
+      startTime: roundToMilliseconds(startTime),
+      endTime: roundToMilliseconds(endTime),
+      text,
+      style: {
+        ...DEFAULT_CAPTION_STYLE,
+        // TTML draws no background unless a style asks for one
+        backgroundOpacity: 0,
+        ...regions.get(regionId),
+        ...style,
+        ...spanStyle,
+      },
+    });
+  };
+
+  const body = getChildren(root, "body")[0];
+  if (body) {
+    visit(body, { start: 0, regionId: undefined, style: {} });
+  }
+
+  if (captions.length === 0) {
+    throw new Error("No TTML paragraphs found");
+  }
+
+  return captions.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Region for a caption: one of the three fixed ones, or one built around a
+// custom placement and kept inside the frame
+const getCaptionRegion = (style = {}) => {
+  if (style.position !== CUSTOM_POSITION) {
+    const id = POSITION_REGIONS[style.position] ? style.position : "bottom";
+    return { id, ...POSITION_REGIONS[id] };
+  }
+
+  const [width, height] = CUSTOM_REGION_EXTENT;
+  const x = round(clamp(Number(style.x) - width / 2, 0, 100 - width));
+  const y = round(clamp(Number(style.y) - height / 2, 0, 100 - height));
+  return {
+    id: `custom-${x}-${y}`.replace(/\./g, "_"),
+    origin: [x, y],
+    extent: CUSTOM_REGION_EXTENT,
+    displayAlign: "center",
+    moved:
+      Math.abs(x + width / 2 - style.x) > 0.01 ||
+      Math.abs(y + height / 2 - style.y) > 0.01,
+  };
+};
+
+const formatRegion = ({ id, origin, extent, displayAlign }) =>
+  `<region xml:id="${id}" tts:origin="${origin[0]}% ${origin[1]}%" tts:extent="${extent[0]}% ${extent[1]}%" tts:displayAlign="${displayAlign}"/>`;
+
+// Inline style attributes for whatever differs from the base style
+const getStyleAttributes = (style) => {
+  const full = { ...DEFAULT_CAPTION_STYLE, ...style };
+  const attributes = [];
+  const changed = (property) =>
+    String(full[property]) !== String(DEFAULT_CAPTION_STYLE[property]);
+
+  if (changed("color")) attributes.push(`tts:color="${full.color}"`);
+  if (changed("fontSize")) {
+    attributes.push(`tts:fontSize="${parseFloat(full.fontSize)}px"`);
+  }
+  if (changed("fontWeight")) {
+    // TTML only knows normal and bold
+    const bold = full.fontWeight === "bold" || Number(full.fontWeight) >= 600;
+    attributes.push(`tts:fontWeight="${bold ? "bold" : "normal"}"`);
+  }
+  if (changed("fontStyle")) {
+    attributes.push(`tts:fontStyle="${full.fontStyle}"`);
+  }
+  if (changed("textDecoration")) {
+    attributes.push(`tts:textDecoration="${full.textDecoration}"`);
+  }
+  if (changed("textAlign")) {
+    attributes.push(`tts:textAlign="${full.textAlign}"`);
+  }
+  if (changed("backgroundColor") || changed("backgroundOpacity")) {
+    attributes.push(
+      `tts:backgroundColor="${formatTtmlColor(
+        full.backgroundColor,
+        full.backgroundOpacity
+      )}"`
+    );
+  }
+
+  return attributes;
+};
+
+export const serializeTtml = (
+  captions,
+  { frameRate = "30", language = "", title } = {}
+) => {
+  const rate = getFrameRate(frameRate);
+  const multiplier = Number.isInteger(rate.fps)
+    ? ""
+    : ` ttp:frameRateMultiplier="1000 1001"`;
+
+  const regions = new Map();
+  const paragraphs = [...captions]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map((caption) => {
+      const region = getCaptionRegion(caption.style);
+      regions.set(region.id, region);
+      const attributes = [
+        `begin="${formatTtmlTime(caption.startTime, frameRate)}"`,
+        `end="${formatTtmlTime(caption.endTime, frameRate)}"`,
+        `region="${region.id}"`,
+        ...getStyleAttributes(caption.style),
+      ];
+      const text = caption.text.split("\n").map(escapeXml).join("<br/>");
+      return `      <p ${attributes.join(" ")}>${text}</p>`;
+    });
+
+  const base = DEFAULT_CAPTION_STYLE;
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<tt xmlns="${TT_NS}" xmlns:ttp="${TTP_NS}" xmlns:tts="${TTS_NS}" xmlns:ttm="${TTM_NS}" xml:lang="${escapeXml(
+      language
+    )}" ttp:profile="${IMSC1_TEXT_PROFILE}" ttp:timeBase="media" ttp:frameRate="${
+      rate.timebase
+    }"${multiplier} tts:extent="${ROOT_WIDTH}px ${ROOT_HEIGHT}px">`,
+    `  <head>`,
+    ...(title
+      ? [`    <metadata><ttm:title>${escapeXml(title)}</ttm:title></metadata>`]
+      : []),
+    `    <styling>`,
+    `      <style xml:id="base" tts:color="${
+      base.color
+    }" tts:fontSize="${parseFloat(
+      base.fontSize
+    )}px" tts:fontFamily="proportionalSansSerif" tts:textAlign="${
+      base.textAlign
+    }" tts:backgroundColor="${formatTtmlColor(
+      base.backgroundColor,
+      base.backgroundOpacity
+    )}"/>`,
+    `    </styling>`,
+    `    <layout>`,
+    ...Array.from(regions.values()).map(
+      (region) => `      ${formatRegion(region)}`
+    ),
+    `    </layout>`,
+    `  </head>`,
+    `  <body style="base">`,
+    `    <div>`,
+    ...paragraphs,
+    `    </div>`,
+    `  </body>`,
+    `</tt>`,
+    "",
+  ].join("\n");
+};
+
+// Characters IMSC1 text documents can't carry: C0/C1 controls other than
+// tab and line breaks
+const CONTROL_CHARACTERS =
+  /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+
+// IMSC1 text profile problems in what serializeTtml would write, as
+// { captionId, message } with captionId null for track-wide ones
+export const validateTtml = (captions, { frameRate = "30", language } = {}) => {
+  const issues = [];
+  const { fps, label: rateLabel } = getFrameRate(frameRate);
+  const sorted = [...captions].sort((a, b) => a.startTime - b.startTime);
+
+  if (!language) {
+    issues.push({
+      captionId: null,
+      message: "The track has no language; IMSC1 needs xml:lang",
+    });
+  }
+
+  sorted.forEach((caption, index) => {
+    const label = `Caption ${index + 1}`;
+    const startFrame = Math.round(caption.startTime * fps);
+    const endFrame = Math.round(caption.endTime * fps);
+    const style = { ...DEFAULT_CAPTION_STYLE, ...caption.style };
+
+    if (endFrame <= startFrame) {
+      issues.push({
+        captionId: caption.id,
+        message: `${label} is shorter than one frame at ${rateLabel}`,
+      });
+    }
+    if (CONTROL_CHARACTERS.test(caption.text)) {
+      issues.push({
+        captionId: caption.id,
+        message: `${label} contains control characters`,
+      });
+    }
+
+    const region = getCaptionRegion(style);
+    if (region.moved) {
+      issues.push({
+        captionId: caption.id,
+        message: `${label} sits too close to the edge; its region is moved inside the frame`,
+      });
+    }
+    const lines = caption.text.split("\n").length;
+    const textHeight =
+      lines * parseFloat(style.fontSize) * (Number(style.lineHeight) || 1.2);
+    if (textHeight > (region.extent[1] / 100) * ROOT_HEIGHT) {
+      issues.push({
+        captionId: caption.id,
+        message: `${label} is too tall for its region and would be clipped`,
+      });
+    }
+
+    // Regions showing when this caption starts, its own included
+    const active = new Set(
+      sorted
+        .filter(
+          (other) =>
+            other.startTime <= caption.startTime &&
+            other.endTime > caption.startTime
+        )
+        .map((other) => getCaptionRegion(other.style).id)
+    );
+    if (active.size > MAX_ACTIVE_REGIONS) {
+      issues.push({
+        captionId: caption.id,
+        message: `${label} brings ${active.size} regions on screen at once (IMSC1 allows ${MAX_ACTIVE_REGIONS})`,
+      });
+    }
+  });
+
+  return issues;
+};
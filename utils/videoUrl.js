@@ -0,0 +1,20 @@
+// URL patterns for the video sources the player understands
+export const VIDEO_URL_PATTERNS = {
+  youtube:
+    /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/)|youtu\.be\/)[\w-]+/,
+  vimeo: /^(https?:\/\/)?(www\.)?vimeo\.com\/\d+/,
+  direct: /^https?:\/\/.*\.(mp4|webm|ogg|mov|avi|mkv)(\?.*)?$/i,
+  // Object URLs created for files picked from disk
+  local: /^blob:/,
+};
+
+// "youtube", "vimeo", "direct", "local", or null for anything else
+export const getVideoUrlType = (url) => {
+  if (!url) return null;
+
+  return (
+    Object.keys(VIDEO_URL_PATTERNS).find((type) =>
+      VIDEO_URL_PATTERNS[type].test(url)
+    ) || null
+  );
+};
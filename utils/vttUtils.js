@@ -0,0 +1,486 @@
+import { formatTime, parseTime } from "./timeUtils";
+import {
+  CUSTOM_POSITION,
+  DEFAULT_CAPTION_STYLE,
+  getTextShadows,
+  hexToRgba,
+  parseCssColor,
+  parseTextShadows,
+} from "./captionStyles";
+import {
+  getWordPieces,
+  hasWordTimings,
+  spreadWords,
+  wordsMatchText,
+} from "./wordTimingUtils";
+
+const VTT_TIMING_PATTERN =
+  /^\s*((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})(.*)$/;
+const VTT_INLINE_TIMESTAMP = /<((?:\d+:)?\d{1,2}:\d{1,2}\.\d{1,3})>/;
+
+// style.position <-> `line:` setting. Bottom is the WebVTT default, so it is
+// written by omitting the setting
+const POSITION_TO_LINE = {
+  top: "10%",
+  center: "50%",
+};
+
+// What players draw without any styling: white on a translucent black box
+const DEFAULT_CUE_STYLE = {
+  color: "#ffffff",
+  fontWeight: "normal",
+  fontStyle: "normal",
+  textDecoration: "none",
+  backgroundColor: "#000000",
+  backgroundOpacity: 0.8,
+};
+
+// The `align` cue setting <-> style.textAlign; center is the default
+const ALIGN_TO_TEXT_ALIGN = {
+  start: "left",
+  left: "left",
+  center: "center",
+  end: "right",
+  right: "right",
+};
+
+export const lineToPosition = (line) => {
+  if (line === undefined || line === "auto") {
+    return "bottom";
+  }
+
+  // Drop the optional line alignment, e.g. "50%,center"
+  const value = line.split(",")[0].trim();
+
+  if (value.endsWith("%")) {
+    const percent = parseFloat(value);
+    if (isNaN(percent)) return "bottom";
+    if (percent < 100 / 3) return "top";
+    if (percent < 200 / 3) return "center";
+    return "bottom";
+  }
+
+  // Snap-to-lines: positive counts down from the top, negative up from the bottom
+  const lineNumber = parseInt(value, 10);
+  if (isNaN(lineNumber)) return "bottom";
+  return lineNumber >= 0 ? "top" : "bottom";
+};
+
+export const positionToLine = (position) => POSITION_TO_LINE[position];
+
+const parsePercent = (value = "") => {
+  const percent = value.split(",")[0].trim();
+  return percent.endsWith("%") ? parseFloat(percent) : NaN;
+};
+
+// A cue placed by percentage on both axes becomes a custom position; its
+// line is centred on `y`, matching how the overlay places it
+const cueSettingsToStyle = ({ line, position, align, ...cueSettings }) => {
+  const x = parsePercent(position);
+  const y = parsePercent(line);
+  const textAlign = ALIGN_TO_TEXT_ALIGN[align];
+  const alignment = textAlign ? { textAlign } : {};
+
+  if (!isNaN(x) && !isNaN(y)) {
+    return {
+      style: { position: CUSTOM_POSITION, x, y, ...alignment },
+      cueSettings,
+    };
+  }
+  return {
+    style: { position: lineToPosition(line), ...alignment },
+    cueSettings:
+      position === undefined ? cueSettings : { ...cueSettings, position },
+  };
+};
+
+const styleToCueSettings = (style = {}) => ({
+  ...(style.position === CUSTOM_POSITION
+    ? { line: `${style.y}%,center`, position: `${style.x}%` }
+    : { line: positionToLine(style.position) }),
+  ...(style.textAlign && style.textAlign !== "center"
+    ? { align: style.textAlign }
+    : {}),
+});
+
+export const parseCueSettings = (settingsString = "") => {
+  return settingsString
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((settings, token) => {
+      const separator = token.indexOf(":");
+      if (separator > 0) {
+        settings[token.slice(0, separator)] = token.slice(separator + 1);
+      }
+      return settings;
+    }, {});
+};
+
+const serializeCueSettings = (settings) =>
+  Object.entries(settings)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(([key, value]) => `${key}:${value}`)
+    .join(" ");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, "\u00A0")
+    .replace(/&lrm;/g, "\u200E")
+    .replace(/&rlm;/g, "\u200F")
+    .replace(/&amp;/g, "&");
+
+const encodeEntities = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Inline timestamps (<00:00:01.500>) mark when the text after them is spoken.
+// The words between two timestamps share that stretch by length.
+const extractWords = (markup, startTime, endTime) => {
+  const parts = markup.split(VTT_INLINE_TIMESTAMP);
+  if (parts.length === 1) return undefined;
+
+  const chunks = [{ markup: parts[0], start: startTime }];
+  for (let index = 1; index < parts.length; index += 2) {
+    const time = parseTime(parts[index]);
+    const previous = chunks[chunks.length - 1].start;
+    chunks.push({
+      markup: parts[index + 1],
+      // Out-of-order or out-of-range timestamps are pulled back into line
+      start: Math.min(endTime, Math.max(previous, isNaN(time) ? 0 : time)),
+    });
+  }
+
+  const words = chunks.flatMap((chunk, index) =>
+    spreadWords(
+      decodeEntities(chunk.markup.replace(/<[^>]*>/g, "")),
+      chunk.start,
+      index < chunks.length - 1 ? chunks[index + 1].start : endTime
+    )
+  );
+  return words.length > 0 ? words : undefined;
+};
+
+const extractVttText = (rawText, startTime, endTime) => {
+  const style = {};
+  let text = rawText;
+
+  // Tags wrapping the whole cue become caption styles, in any nesting order
+  const wrappers = {
+    b: ["fontWeight", "bold"],
+    i: ["fontStyle", "italic"],
+    u: ["textDecoration", "underline"],
+  };
+  let wrapper;
+  while ((wrapper = /^\s*<([biu])>([\s\S]*)<\/\1>\s*$/i.exec(text))) {
+    const [property, value] = wrappers[wrapper[1].toLowerCase()];
+    style[property] = value;
+    text = wrapper[2];
+  }
+
+  // Drop markup (<i>, <c.class>, <v Speaker>, inline timestamps...) and keep
+  // only the text the overlay can show
+  const words = extractWords(text, startTime, endTime);
+  text = decodeEntities(text.replace(/<[^>]*>/g, ""));
+
+  return { text, style, words };
+};
+
+// Minimal CSS identifier escaping for ::cue(#id) selectors
+const escapeCssIdent = (ident) =>
+  ident
+    .replace(/[^\w-]/g, (char) => `\\${char}`)
+    .replace(/^(\d)/, (digit) => `\\3${digit} `);
+
+const unescapeCssIdent = (ident) =>
+  ident.replace(/\\3(\d) ?/g, "$1").replace(/\\(.)/g, "$1");
+
+const CSS_TO_STYLE = {
+  color: "color",
+  "font-weight": "fontWeight",
+  "font-size": "fontSize",
+  "font-family": "fontFamily",
+  "font-style": "fontStyle",
+  "text-decoration": "textDecoration",
+};
+
+// Declarations that map onto more than one style property
+const parseDeclaration = (property, value) => {
+  if (CSS_TO_STYLE[property]) {
+    return { [CSS_TO_STYLE[property]]: value };
+  }
+
+  switch (property) {
+    case "line-height": {
+      const lineHeight = parseFloat(value);
+      return isNaN(lineHeight) || /[a-z%]$/i.test(value) ? {} : { lineHeight };
+    }
+    case "background":
+    case "background-color": {
+      const background = parseCssColor(value);
+      return background
+        ? {
+            backgroundColor: background.color,
+            backgroundOpacity: background.opacity,
+          }
+        : {};
+    }
+    case "text-shadow":
+      return parseTextShadows(value);
+    default:
+      return {};
+  }
+};
+
+const parseStyleBlock = (css) => {
+  const rules = { global: {}, byId: {} };
+  const rulePattern = /::cue(?:\(\s*#((?:\\.|[^)\s])+)\s*\))?\s*\{([^}]*)\}/g;
+  let match;
+
+  while ((match = rulePattern.exec(css)) !== null) {
+    const [, ident, declarations] = match;
+    const style = {};
+
+    declarations.split(";").forEach((declaration) => {
+      const [property, ...valueParts] = declaration.split(":");
+      const value = valueParts.join(":").trim();
+      if (property && value) {
+        Object.assign(
+          style,
+          parseDeclaration(property.trim().toLowerCase(), value)
+        );
+      }
+    });
+
+    if (ident) {
+      const id = unescapeCssIdent(ident);
+      rules.byId[id] = { ...rules.byId[id], ...style };
+    } else {
+      Object.assign(rules.global, style);
+    }
+  }
+
+  return rules;
+};
+
+export const parseVtt = (content) => {
+  if (typeof content !== "string") {
+    throw new Error("WebVTT content must be a string");
+  }
+
+  const blocks = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/);
+
+  if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].split("\n")[0])) {
+    throw new Error("Missing WEBVTT header");
+  }
+
+  const cues = [];
+  const styleRules = { global: {}, byId: {} };
+
+  blocks.slice(1).forEach((block) => {
+    const lines = block.split("\n");
+    if (!lines[0].trim()) {
+      return;
+    }
+
+    if (/^NOTE(?:\s|$)/.test(lines[0]) || /^REGION\s*$/.test(lines[0])) {
+      return;
+    }
+
+    if (/^STYLE\s*$/.test(lines[0])) {
+      const rules = parseStyleBlock(lines.slice(1).join("\n"));
+      Object.assign(styleRules.global, rules.global);
+      Object.entries(rules.byId).forEach(([id, style]) => {
+        styleRules.byId[id] = { ...styleRules.byId[id], ...style };
+      });
+      return;
+    }
+
+    const timingIndex = VTT_TIMING_PATTERN.test(lines[0]) ? 0 : 1;
+    const timingMatch = VTT_TIMING_PATTERN.exec(lines[timingIndex] || "");
+
+    if (!timingMatch) {
+      return;
+    }
+
+    const [, start, end, settingsString] = timingMatch;
+    const startTime = parseTime(start);
+    const endTime = parseTime(end);
+
+    if (isNaN(startTime) || isNaN(endTime)) {
+      throw new Error(`Invalid WebVTT timestamp: ${lines[timingIndex].trim()}`);
+    }
+
+    const { style: placement, cueSettings } = cueSettingsToStyle(
+      parseCueSettings(settingsString)
+    );
+    const { text, style, words } = extractVttText(
+      lines
+        .slice(timingIndex + 1)
+        .join("\n")
+        .trim(),
+      startTime,
+      endTime
+    );
+
+    cues.push({
+      cueId: timingIndex === 1 ? lines[0].trim() : undefined,
+      startTime,
+      endTime,
+      text: text.trim(),
+      style: { ...style, ...placement },
+      cueSettings,
+      ...(words && { words }),
+    });
+  });
+
+  if (cues.length === 0) {
+    throw new Error("No WebVTT cues found");
+  }
+
+  return cues
+    .map(({ cueId, cueSettings, ...caption }) => ({
+      ...caption,
+      style: {
+        ...styleRules.global,
+        ...(cueId ? styleRules.byId[cueId] : {}),
+        ...caption.style,
+      },
+      ...(cueId ? { cueId } : {}),
+      ...(Object.keys(cueSettings).length > 0 ? { cueSettings } : {}),
+    }))
+    .sort((a, b) => a.startTime - b.startTime);
+};
+
+const getCueCss = (style = {}) => {
+  const declarations = [];
+  const differs = (property) =>
+    style[property] !== undefined &&
+    String(style[property]).toLowerCase() !== DEFAULT_CUE_STYLE[property];
+
+  if (differs("color")) {
+    declarations.push(`color: ${style.color};`);
+  }
+  if (differs("fontWeight")) {
+    declarations.push(`font-weight: ${style.fontWeight};`);
+  }
+  if (style.fontSize) {
+    declarations.push(`font-size: ${style.fontSize};`);
+  }
+  if (style.fontFamily) {
+    declarations.push(`font-family: ${style.fontFamily};`);
+  }
+  if (differs("fontStyle")) {
+    declarations.push(`font-style: ${style.fontStyle};`);
+  }
+  if (differs("textDecoration")) {
+    declarations.push(`text-decoration: ${style.textDecoration};`);
+  }
+  if (style.lineHeight) {
+    declarations.push(`line-height: ${style.lineHeight};`);
+  }
+  if (
+    (style.backgroundColor !== undefined &&
+      style.backgroundColor.toLowerCase() !==
+        DEFAULT_CUE_STYLE.backgroundColor) ||
+    (style.backgroundOpacity !== undefined &&
+      style.backgroundOpacity !== DEFAULT_CUE_STYLE.backgroundOpacity)
+  ) {
+    declarations.push(
+      `background-color: ${hexToRgba(
+        style.backgroundColor || DEFAULT_CAPTION_STYLE.backgroundColor,
+        style.backgroundOpacity ?? DEFAULT_CAPTION_STYLE.backgroundOpacity
+      )};`
+    );
+  }
+  const shadows = getTextShadows({ ...DEFAULT_CAPTION_STYLE, ...style });
+  if (shadows.length > 0) {
+    declarations.push(`text-shadow: ${shadows.join(", ")};`);
+  }
+
+  return declarations;
+};
+
+// Cue text with an inline timestamp before each word spoken after the cue
+// starts, which players style through ::past and ::future
+const getCueText = (caption) => {
+  const text = caption.text.replace(/\r\n?/g, "\n");
+  if (!hasWordTimings(caption) || !wordsMatchText(caption.words, text)) {
+    return encodeEntities(text);
+  }
+
+  // Timestamps must rise strictly and stay inside the cue
+  let last = caption.startTime;
+  return getWordPieces({ text, words: caption.words })
+    .map(({ text: pieceText, word }) => {
+      if (
+        !word ||
+        word.startTime <= last ||
+        word.startTime >= caption.endTime
+      ) {
+        return encodeEntities(pieceText);
+      }
+      last = word.startTime;
+      return `<${formatTime(word.startTime)}>${encodeEntities(pieceText)}`;
+    })
+    .join("");
+};
+
+export const serializeVtt = (captions, { title } = {}) => {
+  const sorted = [...captions].sort((a, b) => a.startTime - b.startTime);
+  const usedIds = new Set();
+
+  const cues = sorted.map((caption, index) => {
+    let cueId = caption.cueId || `cue-${index + 1}`;
+    // Identifiers must be unique within a file
+    while (usedIds.has(cueId)) {
+      cueId = `${cueId}-${index + 1}`;
+    }
+    usedIds.add(cueId);
+
+    return { caption, cueId };
+  });
+
+  const styleRules = cues
+    .map(({ caption, cueId }) => ({ cueId, css: getCueCss(caption.style) }))
+    .filter(({ css }) => css.length > 0)
+    .map(
+      ({ cueId, css }) =>
+        `::cue(#${escapeCssIdent(cueId)}) {\n  ${css.join("\n  ")}\n}`
+    );
+
+  const blocks = [title ? `WEBVTT - ${title.replace(/\n/g, " ")}` : "WEBVTT"];
+
+  if (styleRules.length > 0) {
+    // A blank line would end the STYLE block, so rules are packed together
+    blocks.push(`STYLE\n${styleRules.join("\n")}`);
+  }
+
+  cues.forEach(({ caption, cueId }) => {
+    const settings = serializeCueSettings({
+      ...caption.cueSettings,
+      ...styleToCueSettings(caption.style),
+    });
+
+    const text = getCueText(caption)
+      .split("\n")
+      .filter((line) => line.trim())
+      .join("\n");
+
+    blocks.push(
+      [
+        cueId,
+        `${formatTime(caption.startTime)} --> ${formatTime(caption.endTime)}${
+          settings ? ` ${settings}` : ""
+        }`,
+        text,
+      ].join("\n")
+    );
+  });
+
+  return blocks.join("\n\n") + "\n";
+};
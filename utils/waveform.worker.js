@@ -0,0 +1,26 @@
+// Reduces decoded audio to one peak (max absolute amplitude across channels)
+// per bucket, off the main thread
+self.onmessage = (event) => {
+  const { channels, sampleRate, peaksPerSecond } = event.data;
+  const length = channels[0] ? channels[0].length : 0;
+  const samplesPerPeak = Math.max(1, Math.round(sampleRate / peaksPerSecond));
+  const peaks = new Float32Array(Math.ceil(length / samplesPerPeak));
+
+  for (let peak = 0; peak < peaks.length; peak++) {
+    const start = peak * samplesPerPeak;
+    const end = Math.min(length, start + samplesPerPeak);
+    let max = 0;
+
+    for (let c = 0; c < channels.length; c++) {
+      const data = channels[c];
+      for (let i = start; i < end; i++) {
+        const value = data[i] < 0 ? -data[i] : data[i];
+        if (value > max) max = value;
+      }
+    }
+
+    peaks[peak] = max;
+  }
+
+  self.postMessage({ peaks }, [peaks.buffer]);
+};
@@ -0,0 +1,73 @@
+import { getRecord, putRecord } from "./db";
+
+export const PEAKS_PER_SECOND = 200;
+
+// Decoding resamples to this rate: plenty for an amplitude envelope, and it
+// keeps long videos from needing gigabytes of PCM
+const DECODE_SAMPLE_RATE = 8000;
+
+const WAVEFORM_STORE = "waveforms";
+
+const decodeAudio = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Could not load media (${response.status})`);
+  }
+
+  const data = await response.arrayBuffer();
+  const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  return context.decodeAudioData(data);
+};
+
+const computePeaks = (audioBuffer, signal) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./waveform.worker.js", import.meta.url));
+    const stop = () => {
+      worker.terminate();
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+
+    signal?.addEventListener("abort", stop, { once: true });
+    worker.onmessage = (event) => {
+      signal?.removeEventListener("abort", stop);
+      worker.terminate();
+      resolve(event.data.peaks);
+    };
+    worker.onerror = (event) => {
+      signal?.removeEventListener("abort", stop);
+      worker.terminate();
+      reject(new Error(event.message || "Waveform worker failed"));
+    };
+
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c));
+    }
+    worker.postMessage({
+      channels,
+      sampleRate: audioBuffer.sampleRate,
+      peaksPerSecond: PEAKS_PER_SECOND,
+    });
+  });
+
+// Returns { peaks, peaksPerSecond, duration }, from the cache when possible
+export const loadWaveform = async (url, cacheKey = url, signal) => {
+  const cached = await getRecord(WAVEFORM_STORE, cacheKey).catch(() => null);
+  if (cached) {
+    return cached;
+  }
+
+  const audioBuffer = await decodeAudio(url, signal);
+  const peaks = await computePeaks(audioBuffer, signal);
+  const waveform = {
+    peaks,
+    peaksPerSecond: PEAKS_PER_SECOND,
+    duration: audioBuffer.duration,
+  };
+
+  await putRecord(WAVEFORM_STORE, cacheKey, waveform).catch((error) => {
+    console.error("Error caching waveform:", error);
+  });
+
+  return waveform;
+};
@@ -0,0 +1,186 @@
+import { roundToMilliseconds } from "./timeUtils";
+import { wrapText } from "./captionUtils";
+import { DEFAULT_CAPTION_STYLE } from "./captionStyles";
+import { wordsMatchText } from "./wordTimingUtils";
+
+export const DEFAULT_WHISPER_OPTIONS = {
+  // "segments" keeps Whisper's own segments; "words" rebuilds captions from
+  // the word timestamps
+  mode: "segments",
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  maxDuration: 6,
+};
+
+// A silence this long always starts a new caption when re-segmenting
+const MAX_PAUSE_SECONDS = 1;
+const SENTENCE_END = /[.!?…]["'”’)]?$/;
+
+const toSeconds = (value) =>
+  typeof value === "number" && isFinite(value) ? value : NaN;
+
+// Words inside a segment, with missing times (Whisper leaves some out, e.g.
+// for numerals) filled in from their neighbours
+const parseWords = (rawWords, segment) => {
+  const words = rawWords
+    .map((word) => ({
+      // Whisper puts the space before a word into the word itself
+      raw: String(word.word ?? word.text ?? ""),
+      startTime: toSeconds(word.start),
+      endTime: toSeconds(word.end),
+    }))
+    .filter((word) => word.raw.trim());
+
+  words.forEach((word, index) => {
+    if (isNaN(word.startTime)) {
+      word.startTime = index > 0 ? words[index - 1].endTime : segment.start;
+    }
+  });
+  for (let index = words.length - 1; index >= 0; index -= 1) {
+    const word = words[index];
+    if (isNaN(word.endTime)) {
+      word.endTime =
+        index < words.length - 1 ? words[index + 1].startTime : segment.end;
+    }
+  }
+
+  return words.map(({ raw, startTime, endTime }) => ({
+    raw,
+    text: raw.replace(/\s+/g, ""),
+    startTime: roundToMilliseconds(startTime),
+    endTime: roundToMilliseconds(Math.max(startTime, endTime)),
+  }));
+};
+
+// Whisper's JSON output ({ segments: [{ start, end, text, words? }] }, as
+// written by openai-whisper, faster-whisper and WhisperX) as
+// { segments, language, hasWords }, times in seconds
+export const parseWhisperJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error("Whisper output must be JSON");
+  }
+  if (!data || !Array.isArray(data.segments)) {
+    throw new Error("No Whisper segments found");
+  }
+
+  const segments = data.segments
+    .map((segment) => {
+      const start = toSeconds(segment.start);
+      const end = toSeconds(segment.end);
+      if (isNaN(start) || isNaN(end)) {
+        throw new Error("Whisper segment without start/end times");
+      }
+      return {
+        start,
+        end,
+        text: String(segment.text || "").trim(),
+        words: Array.isArray(segment.words)
+          ? parseWords(segment.words, { start, end })
+          : [],
+      };
+    })
+    .filter((segment) => segment.text || segment.words.length > 0);
+
+  if (segments.length === 0) {
+    throw new Error("No Whisper segments found");
+  }
+
+  return {
+    segments,
+    language: typeof data.language === "string" ? data.language : "",
+    hasWords: segments.every((segment) => segment.words.length > 0),
+  };
+};
+
+const joinWords = (words) =>
+  words
+    .map((word) => word.raw)
+    .join("")
+    .trim();
+
+const fits = (text, { maxCharsPerLine, maxLines }) =>
+  wrapText(text, maxCharsPerLine).split("\n").length <= maxLines;
+
+const toCaption = (id, startTime, endTime, text, words, options) => ({
+  id,
+  startTime: roundToMilliseconds(startTime),
+  endTime: roundToMilliseconds(Math.max(endTime, startTime + 0.1)),
+  text: wrapText(text, options.maxCharsPerLine),
+  style: { ...DEFAULT_CAPTION_STYLE },
+  ...(words.length > 0 && {
+    words: words.map(({ text: wordText, startTime: start, endTime: end }) => ({
+      text: wordText,
+      startTime: start,
+      endTime: end,
+    })),
+  }),
+});
+
+// Greedy runs of words that fit the line limits and `maxDuration`, broken
+// early at sentence ends and long pauses
+const segmentWords = (words, options) => {
+  const groups = [];
+  let group = [];
+
+  words.forEach((word) => {
+    const last = group[group.length - 1];
+    if (
+      last &&
+      (!fits(joinWords([...group, word]), options) ||
+        word.endTime - group[0].startTime > options.maxDuration ||
+        word.startTime - last.endTime > MAX_PAUSE_SECONDS)
+    ) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(word);
+    if (SENTENCE_END.test(word.text)) {
+      groups.push(group);
+      group = [];
+    }
+  });
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+};
+
+// Captions shaped like addCaption's, each keeping its word timings
+export const buildWhisperCaptions = (
+  { segments },
+  options = DEFAULT_WHISPER_OPTIONS
+) => {
+  const idBase = Date.now();
+
+  if (options.mode === "words") {
+    return segmentWords(
+      segments.flatMap((segment) => segment.words),
+      options
+    ).map((words, index) =>
+      toCaption(
+        `${idBase}-${index}`,
+        words[0].startTime,
+        words[words.length - 1].endTime,
+        joinWords(words),
+        words,
+        options
+      )
+    );
+  }
+
+  return segments.map((segment, index) => {
+    const text = segment.text || joinWords(segment.words);
+    return toCaption(
+      `${idBase}-${index}`,
+      segment.start,
+      segment.end,
+      text,
+      // Segment text and word pieces can disagree (Whisper normalises one
+      // but not the other); words that don't spell the text are dropped
+      wordsMatchText(segment.words, text) ? segment.words : [],
+      options
+    );
+  });
+};
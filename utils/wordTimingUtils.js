@@ -0,0 +1,203 @@
+import { roundToMilliseconds } from "./timeUtils";
+
+// Captions from speech recognition carry `words`: [{ text, startTime,
+// endTime }] in absolute seconds, in the order they appear in the text.
+// Word texts hold no whitespace; joined they spell the caption text with its
+// whitespace removed, which also works for languages written without spaces.
+
+const countLetters = (text) => text.replace(/\s+/g, "").length;
+
+export const hasWordTimings = (caption) =>
+  Array.isArray(caption?.words) && caption.words.length > 0;
+
+export const wordsMatchText = (words, text) =>
+  words.map((word) => word.text).join("") === text.replace(/\s+/g, "");
+
+// Index in `text` where word `index` begins, skipping the whitespace before it
+const getWordOffset = (words, text, index) => {
+  let letters = countLetters(
+    words
+      .slice(0, index)
+      .map((w) => w.text)
+      .join("")
+  );
+  let offset = 0;
+  while (offset < text.length && (letters > 0 || /\s/.test(text[offset]))) {
+    if (!/\s/.test(text[offset])) letters -= 1;
+    offset += 1;
+  }
+  return offset;
+};
+
+// The caption text cut into runs that are either whitespace ({ text }) or one
+// timed word ({ text, word }), so the text can be rendered or written out word
+// by word with its line breaks intact. Expects words that match the text.
+export const getWordPieces = ({ text, words }) => {
+  const pieces = [];
+  let offset = 0;
+
+  words.forEach((word) => {
+    const space = /^\s*/.exec(text.slice(offset))[0];
+    if (space) pieces.push({ text: space });
+    offset += space.length;
+
+    let end = offset;
+    let letters = word.text.length;
+    while (end < text.length && letters > 0) {
+      if (!/\s/.test(text[end])) letters -= 1;
+      end += 1;
+    }
+    pieces.push({ text: text.slice(offset, end), word });
+    offset = end;
+  });
+
+  if (offset < text.length) pieces.push({ text: text.slice(offset) });
+  return pieces;
+};
+
+// Word timings guessed from the text alone: each word gets a share of the
+// caption proportional to its length
+export const spreadWords = (text, startTime, endTime) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const total = countLetters(text);
+  let elapsed = 0;
+
+  return tokens.map((token) => {
+    const start = startTime + ((endTime - startTime) * elapsed) / total;
+    elapsed += token.length;
+    return {
+      text: token,
+      startTime: roundToMilliseconds(start),
+      endTime: roundToMilliseconds(
+        startTime + ((endTime - startTime) * elapsed) / total
+      ),
+    };
+  });
+};
+
+// How far through word `word` is at `time`: 0 before it starts, 1 once it
+// has been spoken
+export const getWordProgress = (word, time) => {
+  if (time < word.startTime) return 0;
+  if (time >= word.endTime) return 1;
+  return (time - word.startTime) / (word.endTime - word.startTime);
+};
+
+// Words split after the first `letters` non-space characters of the text
+export const partitionWords = (words, letters) => {
+  let count = 0;
+  const index = words.findIndex((word) => {
+    if (count >= letters) return true;
+    count += word.text.length;
+    return false;
+  });
+  return index === -1
+    ? [words, []]
+    : [words.slice(0, index), words.slice(index)];
+};
+
+// Where a split lands when it snaps to word timing: the start of the word
+// nearest `time`, or, when no time is given, of the word at `cursor`. Returns
+// { time, cursor } for splitCaption, or null when there is no boundary inside
+// the caption.
+export const getWordSplit = (caption, { time, cursor }) => {
+  const { words, text } = caption;
+  if (!hasWordTimings(caption) || !wordsMatchText(words, text)) return null;
+
+  let index;
+  if (time === undefined) {
+    if (typeof cursor !== "number") return null;
+    index = partitionWords(words, countLetters(text.slice(0, cursor)))[0]
+      .length;
+  } else {
+    index = words.reduce(
+      (best, word, i) =>
+        i > 0 &&
+        Math.abs(word.startTime - time) < Math.abs(words[best].startTime - time)
+          ? i
+          : best,
+      1
+    );
+  }
+
+  if (index <= 0 || index >= words.length) return null;
+  return {
+    time: words[index].startTime,
+    cursor: getWordOffset(words, text, index),
+  };
+};
+
+// Nearest word start (for a caption's start edge) or end (for its end edge)
+// within `tolerance` seconds of `time`, else `time` unchanged
+export const snapToWordEdge = (caption, time, edge, tolerance) => {
+  if (!hasWordTimings(caption)) return time;
+  const key = edge === "start" ? "startTime" : "endTime";
+  const nearest = caption.words.reduce((best, word) =>
+    Math.abs(word[key] - time) < Math.abs(best[key] - time) ? word : best
+  );
+  return Math.abs(nearest[key] - time) <= tolerance ? nearest[key] : time;
+};
+
+// Bring one caption's words in line with an edit: a moved caption takes its
+// words along, a trimmed one keeps them where they were spoken, within its new
+// bounds, and edited text that no longer matches them drops them
+const syncCaptionWords = (caption, previous) => {
+  if (!wordsMatchText(caption.words, caption.text)) {
+    const { words, ...rest } = caption;
+    return rest;
+  }
+  if (
+    !previous ||
+    previous.words !== caption.words ||
+    (previous.startTime === caption.startTime &&
+      previous.endTime === caption.endTime)
+  ) {
+    return caption;
+  }
+
+  const shift = caption.startTime - previous.startTime;
+  const moved =
+    Math.abs(caption.endTime - previous.endTime - shift) < 0.0005 ? shift : 0;
+  const clamp = (time) =>
+    roundToMilliseconds(
+      Math.min(caption.endTime, Math.max(caption.startTime, time + moved))
+    );
+
+  return {
+    ...caption,
+    words: caption.words.map((word) => ({
+      ...word,
+      startTime: clamp(word.startTime),
+      endTime: clamp(word.endTime),
+    })),
+  };
+};
+
+// Run after every tracks update, like the timing locks. Returns `tracks`
+// itself when no caption needed fixing.
+export const syncWordTimings = (previousTracks, tracks) => {
+  let changed = false;
+
+  const next = tracks.map((track) => {
+    const previousTrack = previousTracks.find((t) => t.id === track.id);
+    if (previousTrack === track) return track;
+
+    const previousById = new Map(
+      (previousTrack?.captions || []).map((caption) => [caption.id, caption])
+    );
+    let trackChanged = false;
+    const captions = track.captions.map((caption) => {
+      const previous = previousById.get(caption.id);
+      if (!hasWordTimings(caption) || previous === caption) return caption;
+      const synced = syncCaptionWords(caption, previous);
+      if (synced !== caption) trackChanged = true;
+      return synced;
+    });
+
+    if (!trackChanged) return track;
+    changed = true;
+    return { ...track, captions };
+  });
+
+  return changed ? next : tracks;
+};